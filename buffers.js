@@ -0,0 +1,21 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Reusable scratch buffers, so the per-frame stages don't allocate new typed
+// arrays for every frame. Each key names one buffer, which grows as needed.
+// Only one caller at a time should use a given key, since the next call with
+// the same key returns the same memory.
+
+const POOL = new Map();
+
+// Return a scratch typed array of the given type and length (contents are
+// whatever the last user of the key left there)
+export function scratch(key, Type, length) {
+    let buf = POOL.get(key);
+    if (!(buf instanceof Type) || buf.length < length) {
+        buf = new Type(length);
+        POOL.set(key, buf);
+    }
+    return buf.subarray(0, length);
+}
@@ -0,0 +1,77 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free helpers for camera selection and adjustment. These build the
+// getUserMedia and applyConstraints constraint objects, and read what a
+// camera track can adjust from its capabilities. main.js has the UI.
+
+// Numeric track adjustments that get a slider when the camera supports them
+export const SLIDER_ADJUSTMENTS = ["exposureCompensation", "focusDistance",
+    "zoom"];
+
+// Return getUserMedia video constraints for settings = {deviceId, width,
+// height, frameRate, facing}. A deviceId (if not empty) picks a specific
+// camera, otherwise facing ("environment" or "user") picks the back or front
+// camera. The size and frame rate are ideal values, so a camera that can't do
+// them exactly still opens with its closest mode.
+export function videoConstraints(settings) {
+    const video = {
+        width: {ideal: settings.width},
+        height: {ideal: settings.height},
+        frameRate: {ideal: settings.frameRate},
+    };
+    if (settings.deviceId) {
+        video.deviceId = {exact: settings.deviceId};
+    } else {
+        video.facingMode = {ideal: settings.facing};
+    }
+    return video;
+}
+
+// Return the adjustments a video track supports as an object with a
+// {min, max, step, value} range for each supported SLIDER_ADJUSTMENTS name,
+// plus autoFocus (true or false for the current focus mode) if the camera
+// can switch between manual and continuous focus, and torch (true or false)
+// if it has a light. Browsers without getCapabilities support nothing.
+export function trackAdjustments(track) {
+    if (!track || !track.getCapabilities) {
+        return {};
+    }
+    const caps = track.getCapabilities();
+    const settings = track.getSettings();
+    const adjustments = {};
+    for (const name of SLIDER_ADJUSTMENTS) {
+        const cap = caps[name];
+        if (cap && typeof cap.min == "number" && cap.max > cap.min) {
+            adjustments[name] = {
+                min: cap.min,
+                max: cap.max,
+                step: cap.step || ((cap.max - cap.min) / 100),
+                value: settings[name] ?? cap.min,
+            };
+        }
+    }
+    const focusModes = caps.focusMode || [];
+    if (focusModes.includes("manual") && focusModes.includes("continuous")) {
+        adjustments.autoFocus = settings.focusMode != "manual";
+    }
+    if (caps.torch) {
+        adjustments.torch = Boolean(settings.torch);
+    }
+    return adjustments;
+}
+
+// Return the applyConstraints argument for setting one adjustment (a name
+// from trackAdjustments) to value. Setting the focus distance switches to
+// manual focus, since continuous focus would ignore it.
+export function adjustmentConstraints(name, value) {
+    switch(name) {
+    case "autoFocus":
+        return {advanced: [{focusMode: value ? "continuous" : "manual"}]};
+    case "focusDistance":
+        return {advanced: [{focusMode: "manual", focusDistance: value}]};
+    default:
+        return {advanced: [{[name]: value}]};
+    }
+}
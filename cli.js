@@ -0,0 +1,459 @@
+#!/usr/bin/env node
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Command line batch processor: filters PGM/PPM/PBM and PNG files with the
+// same filter chain and settings as the web page, and writes the results in
+// any of the save formats. The pixels go through filterPixels from render.js,
+// which is what the page runs on each frame, so at full size (no scaling)
+// the output matches a saved frame bit for bit.
+//
+// Usage: node cli.js [options] input... (see --help)
+
+import {
+    readFileSync, writeFileSync, readdirSync, statSync, realpathSync,
+} from 'node:fs';
+import { basename, extname, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { DEFAULT_OPTIONS } from './filters.js';
+import { FAMILIES } from './wavelets.js';
+import { CONTRAST_MODES } from './contrast.js';
+import { DITHER_MODES } from './dither.js';
+import { COLOR_MODES } from './color.js';
+import { TEMPORAL_MODES, resetTemporal } from './temporal.js';
+import { filterPixels, showsCoefficients } from './render.js';
+import {
+    DEFAULT_SETTINGS, BUILTIN_PRESETS, cleanSettings, importSettings,
+} from './settings.js';
+import {
+    encodePGM, encodePBM, encodeEscPosRaster, encodeCHeader,
+} from './encode.js';
+import { detectCodes } from './detect.js';
+import { decodeImage, encodePNG, cropAndScale } from './imagefile.js';
+
+// Settings that only matter for the live page, so they have no flags
+const PAGE_ONLY = ["showHistogram", "showStats", "recordFormat", "recordFps",
+    "recordMax"];
+
+// Allowed values of the settings that come from a select on the page
+const CHOICES = {
+    levels: [1, 2, 3, 4, 5, 6],
+    transform: ["None", ...Object.keys(FAMILIES)],
+    precision: ["lofi", "int16", "float32"],
+    denoise: ["None", "Hard", "Soft"],
+    denoiseAuto: ["Manual", "VisuShrink", "BayesShrink"],
+    coefView: ["Raw", "Grey", "Diverging"],
+    coefScale: ["Subband", "Log"],
+    contrast: CONTRAST_MODES,
+    dither: DITHER_MODES,
+    colorMode: COLOR_MODES,
+    temporal: TEMPORAL_MODES,
+    temporalTarget: ["Pixels", "Coefficients"],
+    saveFormat: ["PNG", "PGM", "EscPos384", "EscPos576", "CHeader"],
+};
+
+// Input file extensions to pick up from directories
+const INPUT_TYPES = [".png", ".pgm", ".ppm", ".pbm", ".pnm"];
+
+// Usage errors exit with status 2 (bad files exit with status 1)
+class UsageError extends Error {}
+
+// Return the command line flag for a setting key ("invWave" -> "inv-wave")
+function flagName(key) {
+    return key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+}
+
+// Map of flag names to the setting keys they set
+const FLAGS = new Map(Object.keys(DEFAULT_SETTINGS)
+    .filter((key) => !PAGE_ONLY.includes(key))
+    .map((key) => [flagName(key), key]));
+
+// Return the help text
+function usage() {
+    const lines = [
+        "usage: node cli.js [options] input...",
+        "",
+        "Filter PNG, PGM, PPM, or PBM images (or the images in a directory)",
+        "like the webwavecam page does, and write the results.",
+        "",
+        "  -o, --output PATH   output directory, or file for a single input",
+        "                      (default: input name + \"-filtered\")",
+        "  --preset NAME|FILE|JSON",
+        "                      start from a built-in preset, a settings file",
+        "                      (FILE#NAME for one of its presets), a JSON",
+        "                      file of settings, or a JSON object like",
+        "                      '{\"levels\":3}'; flags override it",
+        "  -h, --help          show this help",
+        "",
+        "Settings (default in brackets):",
+    ];
+    for (const [flag, key] of FLAGS) {
+        const def = (key == "size") ? "full" : DEFAULT_SETTINGS[key];
+        let text = `  --${flag}`;
+        if (typeof def == "boolean") {
+            text = `  --[no-]${flag}`;
+        } else if (CHOICES[key]) {
+            text += ` ${CHOICES[key].join("|")}`;
+        } else if (key == "size") {
+            text += " WxH|full";
+        } else if (Array.isArray(def) && Array.isArray(def[0])) {
+            text += " JSON|N,N,N|N";
+        } else if (Array.isArray(def)) {
+            text += " JSON|N,N,...";
+        } else {
+            text += " N";
+        }
+        lines.push(`${text}  [${JSON.stringify(def)}]`);
+    }
+    lines.push("", "Built-in presets:");
+    for (const name of Object.keys(BUILTIN_PRESETS)) {
+        lines.push(`  "${name}"`);
+    }
+    return lines.join("\n");
+}
+
+// Return the value of a setting parsed from its flag argument text
+function parseValue(key, text) {
+    const def = DEFAULT_SETTINGS[key];
+    let value = text;
+    if (typeof def == "number") {
+        value = (text.trim() == "") ? NaN : Number(text);
+    } else if (Array.isArray(def)) {
+        const json = text.trim().startsWith("[") ? text : `[${text}]`;
+        try {
+            value = JSON.parse(json);
+        } catch (err) {
+            value = null;
+        }
+        // A flat list of numbers sets every row of a nested array (eqGains),
+        // and a single number sets every value
+        if (Array.isArray(def[0]) && Array.isArray(value)
+            && value.every((v) => typeof v == "number"))
+        {
+            const row = (value.length == 1) ? def[0].map(() => value[0])
+                : value;
+            if (row.length != def[0].length) {
+                throw new UsageError(`bad value for --${flagName(key)}: `
+                    + `${text} (expected one number, ${def[0].length} `
+                    + "numbers for every level, or JSON)");
+            }
+            value = def.map(() => row);
+        }
+    }
+    return value;
+}
+
+// Throw a UsageError if any setting has a value it can't have
+function checkSettings(settings) {
+    const clean = cleanSettings(settings);
+    for (const key of Object.keys(settings)) {
+        if (!(key in DEFAULT_SETTINGS)) {
+            throw new UsageError(`unknown setting ${key}`);
+        }
+        if (!(key in clean)) {
+            const value = settings[key];
+            throw new UsageError(`bad value for --${flagName(key)}: `
+                + ((typeof value == "object") ? JSON.stringify(value) : value));
+        }
+        const choices = CHOICES[key];
+        if (choices && !choices.includes(settings[key])) {
+            throw new UsageError(`bad value for --${flagName(key)}: `
+                + `${settings[key]} (expected ${choices.join(", ")})`);
+        }
+    }
+    if (settings.size && settings.size != "full"
+        && !/^[1-9]\d*x[1-9]\d*$/.test(settings.size))
+    {
+        throw new UsageError(`bad value for --size: ${settings.size}`);
+    }
+}
+
+// Return settings parsed from a JSON object of settings (text), checked with
+// checkSettings. source names where the text came from, for errors.
+function settingsFromJSON(text, source) {
+    let settings;
+    try {
+        settings = JSON.parse(text);
+    } catch (err) {
+        throw new UsageError(`${source}: not a JSON file`);
+    }
+    if (!settings || typeof settings != "object" || Array.isArray(settings)) {
+        throw new UsageError(`${source}: not a settings object`);
+    }
+    checkSettings(settings);
+    return settings;
+}
+
+// Return the settings of a preset: a built-in preset name, a JSON object of
+// settings (starting with "{"), a settings file from the page's export button
+// (its current settings, or the named preset after a "#"), or a JSON file of
+// settings
+function loadPreset(spec) {
+    if (spec in BUILTIN_PRESETS) {
+        return {...BUILTIN_PRESETS[spec]};
+    }
+    if (spec.trim().startsWith("{")) {
+        return settingsFromJSON(spec, "--preset");
+    }
+    const hash = spec.lastIndexOf("#");
+    const path = (hash > 0) ? spec.slice(0, hash) : spec;
+    const name = (hash > 0) ? spec.slice(hash + 1) : null;
+    let text;
+    try {
+        text = readFileSync(path, "utf8");
+    } catch (err) {
+        throw new UsageError(`no preset or file named ${spec}`);
+    }
+    let file;
+    try {
+        file = importSettings(text);
+    } catch (err) {
+        if (err.message != "not a settings file" || name) {
+            throw new UsageError(`${path}: ${err.message}`);
+        }
+        return settingsFromJSON(text, path);
+    }
+    let settings = file.current || {};
+    if (name) {
+        if (!(name in file.presets)) {
+            throw new UsageError(`${path} has no preset named ${name}`);
+        }
+        settings = file.presets[name];
+    }
+    checkSettings(settings);
+    return settings;
+}
+
+// Parse command line arguments, returning {settings, inputs, output}
+export function parseArgs(args) {
+    let preset = {};
+    const flags = {};
+    const inputs = [];
+    let output = null;
+    for (let i=0; i<args.length; i++) {
+        const arg = args[i];
+        // Return the flag's argument (after "=" or the next argument)
+        const next = (name, inline) => {
+            if (inline !== undefined) {
+                return inline;
+            }
+            if (i + 1 >= args.length) {
+                throw new UsageError(`${name} needs a value`);
+            }
+            return args[++i];
+        };
+        if (!arg.startsWith("-") || arg == "-") {
+            inputs.push(arg);
+            continue;
+        }
+        const [name, inline] = arg.split(/=(.*)/s);
+        if (name == "-h" || name == "--help") {
+            return {help: true};
+        } else if (name == "-o" || name == "--output") {
+            output = next(name, inline);
+            continue;
+        } else if (name == "--preset") {
+            preset = loadPreset(next(name, inline));
+            continue;
+        }
+        const negated = name.startsWith("--no-");
+        const key = FLAGS.get(name.slice(negated ? 5 : 2));
+        if (!name.startsWith("--") || !key) {
+            throw new UsageError(`unknown option ${name}`);
+        }
+        if (typeof DEFAULT_SETTINGS[key] == "boolean") {
+            if (inline !== undefined) {
+                throw new UsageError(`${name} doesn't take a value`);
+            }
+            flags[key] = !negated;
+        } else if (negated) {
+            throw new UsageError(`unknown option ${name}`);
+        } else {
+            flags[key] = parseValue(key, next(name, inline));
+        }
+    }
+    checkSettings(flags);
+    const settings = {...DEFAULT_SETTINGS, size: "full", ...preset, ...flags};
+    return {settings, inputs, output};
+}
+
+// Return the list of input files for the command line inputs, with the
+// image files of any directories
+function expandInputs(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        if (statSync(input).isDirectory()) {
+            const names = readdirSync(input).filter((name) =>
+                INPUT_TYPES.includes(extname(name).toLowerCase()));
+            files.push(...names.sort().map((name) => join(input, name)));
+        } else {
+            files.push(input);
+        }
+    }
+    return files;
+}
+
+// Return the filtered frame ({luma, rgba, w, h, onebit}) for an image file's
+// bytes
+export function filterImage(bytes, settings) {
+    const image = decodeImage(bytes);
+    let {rgba, w, h} = image;
+    if (settings.size != "full") {
+        [w, h] = settings.size.split("x").map(Number);
+        rgba = cropAndScale(rgba, image.w, image.h, w, h);
+    }
+    const options = {};
+    for (const key of Object.keys(DEFAULT_OPTIONS)) {
+        options[key] = settings[key];
+    }
+    // Each file is a new scene, so don't average it with the last one
+    resetTemporal();
+    const frame = filterPixels(rgba, w, h, options, undefined, null,
+        settings.detect);
+    return {...frame, rgba};
+}
+
+// Return the output file extension for the save format. PGM output is PBM
+// for 1-bit frames, since that's 8x smaller.
+function outputExt(saveFormat, onebit) {
+    switch(saveFormat) {
+    case "PGM":
+        return onebit ? ".pbm" : ".pgm";
+    case "EscPos384":
+        return "_384.bin";
+    case "EscPos576":
+        return "_576.bin";
+    case "CHeader":
+        return ".h";
+    default:
+        return ".png";
+    }
+}
+
+// Return {data, ext} for a filtered frame in the save format. name is used
+// for the array in C headers.
+export function encodeFrame(frame, saveFormat, name) {
+    const {luma, rgba, w, h, onebit} = frame;
+    const ext = outputExt(saveFormat, onebit);
+    switch(saveFormat) {
+    case "PGM":
+        return {data: onebit ? encodePBM(luma, w, h) : encodePGM(luma, w, h),
+            ext};
+    case "EscPos384":
+    case "EscPos576": {
+        const dots = (saveFormat == "EscPos384") ? 384 : 576;
+        return {data: encodeEscPosRaster(luma, w, h, dots), ext};
+    }
+    case "CHeader": {
+        const id = name.replace(/\W/g, "_").replace(/^(?=\d)/, "_");
+        return {data: encodeCHeader(luma, w, h, id), ext};
+    }
+    default:
+        return {data: encodePNG(rgba, w, h), ext};
+    }
+}
+
+// Return the output path for an input file. A file output only works for a
+// single input, otherwise output is a directory (or null for the input's
+// directory, with "-filtered" added to the name).
+function outputPath(file, ext, output, single) {
+    const base = basename(file, extname(file));
+    if (output === null) {
+        return join(file, "..", `${base}-filtered${ext}`);
+    }
+    let isDir = false;
+    try {
+        isDir = statSync(output).isDirectory();
+    } catch (err) {
+        // doesn't exist yet, so it's a file name
+    }
+    if (isDir) {
+        return join(output, `${base}${ext}`);
+    }
+    if (!single) {
+        throw new UsageError(`${output} isn't a directory`);
+    }
+    return output;
+}
+
+// Return the output paths for the input files, in the same order. Throws a
+// UsageError if an output would overwrite any of the inputs, or if two inputs
+// would get the same output (like a.png and a.ppm), so nothing gets written
+// over before the whole batch is known to be safe.
+export function planOutputs(files, settings, output) {
+    // The coefficient view is never 1-bit (see filterPixels)
+    const onebit = settings.onebit && !showsCoefficients(settings);
+    const ext = outputExt(settings.saveFormat, onebit);
+    const inputs = new Set(files.map((file) => resolve(file)));
+    const planned = new Map();
+    return files.map((file) => {
+        const path = outputPath(file, ext, output, files.length == 1);
+        const full = resolve(path);
+        if (inputs.has(full)) {
+            throw new UsageError(`${file}: won't overwrite the input ${path}`);
+        }
+        if (planned.has(full)) {
+            throw new UsageError(`${file} and ${planned.get(full)} would both `
+                + `be saved as ${path}`);
+        }
+        planned.set(full, file);
+        return path;
+    });
+}
+
+// Filter and save each input file, printing any detected codes. Returns the
+// exit status.
+async function main(args) {
+    let parsed;
+    let files;
+    let paths;
+    try {
+        parsed = parseArgs(args);
+        if (parsed.help) {
+            console.log(usage());
+            return 0;
+        }
+        if (parsed.inputs.length == 0) {
+            throw new UsageError("no input files (see --help)");
+        }
+        files = expandInputs(parsed.inputs);
+        paths = planOutputs(files, parsed.settings, parsed.output);
+    } catch (err) {
+        console.error(`webwavecam: ${err.message}`);
+        return 2;
+    }
+    const {settings} = parsed;
+    let status = 0;
+    for (const [i, file] of files.entries()) {
+        try {
+            const frame = filterImage(readFileSync(file), settings);
+            const name = basename(file, extname(file));
+            const {data} = encodeFrame(frame, settings.saveFormat, name);
+            const path = paths[i];
+            writeFileSync(path, data);
+            console.log(`${file} -> ${path} (${frame.w}x${frame.h})`);
+            if (settings.detect) {
+                const {luma, raw, w, h} = frame;
+                const codes = await detectCodes(luma, w, h);
+                const rawCodes = await detectCodes(raw, w, h);
+                for (const code of codes) {
+                    console.log(`  ${code.format}: ${code.rawValue}`);
+                }
+                console.log(`  codes: filtered ${codes.length}, `
+                    + `raw ${rawCodes.length}`);
+            }
+        } catch (err) {
+            console.error(`webwavecam: ${file}: ${err.message}`);
+            status = 1;
+        }
+    }
+    return status;
+}
+
+// Only run when started as a script, so tests can import the functions
+if (process.argv[1]
+    && import.meta.url == pathToFileURL(realpathSync(process.argv[1])).href)
+{
+    process.exitCode = await main(process.argv.slice(2));
+}
@@ -0,0 +1,117 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free rendering of wavelet coefficients for the "show coefficients" view
+// (when the inverse transform is off). Signed details get mapped around mid
+// grey or to a blue-white-red diverging color map, instead of wrapping around
+// as raw bytes. The approximation band in the top left shows as plain luma.
+
+import { storageFor, subbands, levelSizes } from './wavelets.js';
+
+// Diverging color map anchors for -1, 0, and +1 (similar to "coolwarm")
+const COLD = [59, 76, 192];
+const MID = [221, 221, 221];
+const HOT = [180, 4, 38];
+
+// Subband boundary line color
+const GRID = [255, 200, 0];
+
+// Write one RGBA pixel
+function setPixel(rgba, i, r, g, b) {
+    rgba[i<<2] = r;
+    rgba[(i<<2)+1] = g;
+    rgba[(i<<2)+2] = b;
+    rgba[(i<<2)+3] = 255;
+}
+
+// Write a normalized coefficient t in -1..1 as one RGBA pixel
+function mapPixel(rgba, i, t, diverging) {
+    t = (t < -1) ? -1 : ((t > 1) ? 1 : t);
+    if (!diverging) {
+        const Y = Math.round(128 + (127 * t));
+        setPixel(rgba, i, Y, Y, Y);
+        return;
+    }
+    const end = (t < 0) ? COLD : HOT;
+    const a = Math.abs(t);
+    setPixel(rgba, i,
+        Math.round(MID[0] + ((end[0] - MID[0]) * a)),
+        Math.round(MID[1] + ((end[1] - MID[1]) * a)),
+        Math.round(MID[2] + ((end[2] - MID[2]) * a)));
+}
+
+// Return the largest absolute detail coefficient in a subband
+function bandMaxAbs(w, coef, band, load) {
+    let max = 0;
+    for (let y=band.y0; y<band.y1; y++) {
+        for (let x=band.x0; x<band.x1; x++) {
+            max = Math.max(max, Math.abs(load(coef[(y*w)+x], true)));
+        }
+    }
+    return max;
+}
+
+// Render the coefficients of a forward transformed buffer into rgba.
+// options.coefView is "Grey" or "Diverging", options.coefScale is "Subband"
+// (each subband normalized by its own peak) or "Log" (log scaled against the
+// peak of all the details), and options.coefGrid draws subband boundaries.
+export function renderCoefficients(w, h, levels, coef, rgba, options) {
+    const {load} = storageFor(coef);
+    const diverging = options.coefView == "Diverging";
+    const logScale = options.coefScale == "Log";
+    const bands = subbands(w, h, levels);
+    // Approximation band (averages) shows as plain luma
+    const [llCols, llRows] = levelSizes(w, h, levels + 1)[levels];
+    for (let y=0; y<llRows; y++) {
+        for (let x=0; x<llCols; x++) {
+            const v = Math.round(load(coef[(y*w)+x], false));
+            const Y = (v < 0) ? 0 : ((v > 255) ? 255 : v);
+            setPixel(rgba, (y*w)+x, Y, Y, Y);
+        }
+    }
+    // Details
+    const peaks = bands.map((band) => bandMaxAbs(w, coef, band, load));
+    const logPeak = Math.log1p(Math.max(0, ...peaks));
+    bands.forEach((band, n) => {
+        for (let y=band.y0; y<band.y1; y++) {
+            for (let x=band.x0; x<band.x1; x++) {
+                const v = load(coef[(y*w)+x], true);
+                let t = 0;
+                if (logScale) {
+                    t = (logPeak > 0)
+                        ? (Math.sign(v) * Math.log1p(Math.abs(v))) / logPeak
+                        : 0;
+                } else {
+                    t = (peaks[n] > 0) ? v / peaks[n] : 0;
+                }
+                mapPixel(rgba, (y*w)+x, t, diverging);
+            }
+        }
+    });
+    if (options.coefGrid) {
+        // Lines along the inside top and left edges of each detail subband
+        for (const band of bands) {
+            for (let x=band.x0; x<band.x1 && band.y0>0; x++) {
+                setPixel(rgba, (band.y0*w)+x, ...GRID);
+            }
+            for (let y=band.y0; y<band.y1 && band.x0>0; y++) {
+                setPixel(rgba, (y*w)+band.x0, ...GRID);
+            }
+        }
+    }
+}
+
+// Label the detail subbands of the coefficient view with their orientation
+// and level (H1, V1, D1, H2, ...) where there's room for the text. ctx is a
+// 2D context of a canvas or OffscreenCanvas.
+export function drawSubbandLabels(ctx, w, h, levels) {
+    ctx.font = "9px sans-serif";
+    ctx.fillStyle = `rgb(${GRID.join(",")})`;
+    ctx.textBaseline = "top";
+    for (const band of subbands(w, h, levels)) {
+        if (band.x1 - band.x0 >= 16 && band.y1 - band.y0 >= 12) {
+            ctx.fillText(`${band.orient}${band.level}`, band.x0+2, band.y0+2);
+        }
+    }
+}
@@ -0,0 +1,112 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free colour processing. This splits RGBA pixels into full range
+// Rec. 601 YCbCr planes (as in JPEG), runs the filter chain on them, and
+// converts the result back to RGBA.
+
+import { scratch } from './buffers.js';
+import { resolveOptions, processFrame } from './filters.js';
+import { frozenFrame, holdFrame } from './temporal.js';
+import { noLap } from './stats.js';
+
+// Colour modes for options.colorMode. "Mono" is the normal greyscale chain.
+// "Passthrough" filters luma and keeps the original chroma. "Separate"
+// filters luma with the whole chain, and chroma with just the wavelet stages
+// (transform, denoise, equalizer). "All" runs all three channels through the
+// whole chain.
+export const COLOR_MODES = ["Mono", "Passthrough", "Separate", "All"];
+
+// The temporal stages keep one history for luma, so chroma goes without
+const NO_TEMPORAL = {temporal: "None", motionView: false, freezeStable: false};
+
+// Clamp v to 0..255 and round it
+function clampByte(v) {
+    return (v < 0) ? 0 : ((v > 255) ? 255 : Math.round(v));
+}
+
+// Split RGBA pixels into Y, Cb, and Cr planes (Uint8Array, 1 byte per pixel)
+export function rgbaToYCbCr(rgba, y, cb, cr) {
+    for (let i=0, j=0; i < rgba.length; i += 4, j++) {
+        const R = rgba[i];
+        const G = rgba[i+1];
+        const B = rgba[i+2];
+        y[j] = clampByte((0.299 * R) + (0.587 * G) + (0.114 * B));
+        cb[j] = clampByte(128 - (0.168736 * R) - (0.331264 * G) + (0.5 * B));
+        cr[j] = clampByte(128 + (0.5 * R) - (0.418688 * G) - (0.081312 * B));
+    }
+}
+
+// Combine Y, Cb, and Cr planes into opaque RGBA pixels
+export function yCbCrToRGBA(y, cb, cr, rgba) {
+    for (let i=0, j=0; j < y.length; i += 4, j++) {
+        const Cb = cb[j] - 128;
+        const Cr = cr[j] - 128;
+        rgba[i] = clampByte(y[j] + (1.402 * Cr));
+        rgba[i+1] = clampByte(y[j] - (0.344136 * Cb) - (0.714136 * Cr));
+        rgba[i+2] = clampByte(y[j] + (1.772 * Cb));
+        rgba[i+3] = 255;
+    }
+}
+
+// Return the filter options for chroma planes in colour mode, or null if
+// chroma passes through unfiltered
+function chromaOptions(options) {
+    switch(options.colorMode) {
+    case "Separate":
+        // Squash, contrast, and thresholding would wreck the colours
+        return {...options, squash: false, contrast: "None", invLuma: false,
+            onebit: false, ...NO_TEMPORAL};
+    case "All":
+        // Chroma is centered on 128, so squash there rather than at the luma
+        // bias, which would tint everything
+        return {...options, sqbias: 128, ...NO_TEMPORAL};
+    default:
+        return null;
+    }
+}
+
+// Run the filter chain in-place on the Y, Cb, and Cr planes of a w*h frame
+function processChannels(y, cb, cr, w, h, opts, lap, report) {
+    processFrame(y, w, h, {...opts, freezeStable: false}, lap, report);
+    const chroma = chromaOptions(opts);
+    if (opts.motionView) {
+        // Motion shows as grey
+        cb.fill(128);
+        cr.fill(128);
+    } else if (chroma) {
+        processFrame(cb, w, h, chroma);
+        processFrame(cr, w, h, chroma);
+        lap("chroma");
+    }
+}
+
+// Run the filter chain on the YCbCr planes of a w*h RGBA frame, and write
+// the result back to rgba. See processFrame for options, lap, and report
+// (which only covers luma). Returns the filtered luma plane, which is a
+// scratch buffer.
+export function processColorFrame(rgba, w, h, options, lap = noLap,
+    report = null)
+{
+    const opts = resolveOptions(options);
+    const n = w * h;
+    const y = scratch("luma", Uint8Array, n);
+    const cb = scratch("cb", Uint8Array, n);
+    const cr = scratch("cr", Uint8Array, n);
+    rgbaToYCbCr(rgba, y, cb, cr);
+    lap("luma");
+    // Freeze here rather than in processFrame, so the held frame keeps its
+    // colours instead of getting the live chroma
+    if (opts.freezeStable && frozenFrame(y, opts, [cb, cr])) {
+        lap("temporal");
+    } else {
+        processChannels(y, cb, cr, w, h, opts, lap, report);
+        if (opts.freezeStable) {
+            holdFrame(y, [cb, cr]);
+        }
+    }
+    yCbCrToRGBA(y, cb, cr, rgba);
+    lap("color");
+    return y;
+}
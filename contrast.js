@@ -0,0 +1,221 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free auto-contrast algorithms: percentile stretch, global histogram
+// equalization, contrast limited adaptive histogram equalization (CLAHE), and
+// Otsu's method for picking a 1-bit threshold. The two-peak histogram shift
+// (autoContrastHistogram) lives in filters.js.
+
+// Auto-contrast modes for options.contrast
+export const CONTRAST_MODES = ["None", "Histogram", "Percentile", "Equalize",
+    "CLAHE", "Otsu"];
+
+// Return a 256 bin histogram of luma values. If out is given, the counts go
+// there instead of a new array.
+export function histogram(luma, out) {
+    const histo = out || new Uint32Array(256);
+    histo.fill(0);
+    for (const Y of luma) {
+        histo[Y]++;
+    }
+    return histo;
+}
+
+// Return the lowest luma value where the cumulative count of histo goes
+// above count
+function cumulativeLevel(histo, count) {
+    let sum = 0;
+    for (let v=0; v<256; v++) {
+        sum += histo[v];
+        if (sum > count) {
+            return v;
+        }
+    }
+    return 255;
+}
+
+// Stretch luma linearly so the low percentile maps to 0 and the high
+// percentile maps to 255 (percentiles are 0..100). Returns the cutoffs as
+// {low, high} luma levels. Frames with no spread are left alone.
+export function percentileStretch(luma, lowPct, highPct) {
+    const histo = histogram(luma);
+    const n = luma.length;
+    const low = cumulativeLevel(histo, Math.floor(n * lowPct / 100));
+    const high = cumulativeLevel(histo, Math.ceil(n * highPct / 100) - 1);
+    if (high <= low) {
+        return {low, high};
+    }
+    const lut = new Uint8Array(256);
+    for (let v=0; v<256; v++) {
+        const Y = Math.round((v - low) * 255 / (high - low));
+        lut[v] = (Y < 0) ? 0 : ((Y > 255) ? 255 : Y);
+    }
+    for (let i=0; i<n; i++) {
+        luma[i] = lut[luma[i]];
+    }
+    return {low, high};
+}
+
+// Fill lut with the histogram equalization mapping for histo, which counts n
+// pixels. Levels below the first occupied one map to 0.
+function equalizeLut(histo, n, lut) {
+    let first = 0;
+    while (first < 255 && histo[first] == 0) {
+        first++;
+    }
+    const cdfMin = histo[first];
+    let cdf = 0;
+    for (let v=0; v<256; v++) {
+        cdf += histo[v];
+        lut[v] = (n > cdfMin)
+            ? Math.round(Math.max(0, cdf - cdfMin) * 255 / (n - cdfMin))
+            : v;
+    }
+}
+
+// Equalize the global histogram of luma in-place
+export function equalizeHistogram(luma) {
+    const lut = new Uint8Array(256);
+    equalizeLut(histogram(luma), luma.length, lut);
+    for (let i=0; i<luma.length; i++) {
+        luma[i] = lut[luma[i]];
+    }
+}
+
+// Clip histogram bins at limit and spread the clipped counts evenly over all
+// the bins (one pass, so clipped bins end up a little over the limit). The
+// counts are fractional, since small tiles can have limits below 1.
+function clipHistogram(histo, limit) {
+    let excess = 0;
+    for (let v=0; v<256; v++) {
+        if (histo[v] > limit) {
+            excess += histo[v] - limit;
+            histo[v] = limit;
+        }
+    }
+    const each = excess / 256;
+    for (let v=0; v<256; v++) {
+        histo[v] += each;
+    }
+}
+
+// Contrast limited adaptive histogram equalization of a w*h luma frame
+// in-place. The frame gets split into a grid of up to tiles*tiles tiles (at
+// least 8 pixels on a side), each with its own equalization mapping. clip
+// limits each tile's histogram bins to clip times the average bin count,
+// which keeps flat areas from turning into amplified noise. Pixels blend the
+// mappings of the four nearest tile centers to avoid seams.
+export function clahe(luma, w, h, tiles, clip) {
+    const tilesX = Math.max(1, Math.min(tiles, Math.floor(w / 8)));
+    const tilesY = Math.max(1, Math.min(tiles, Math.floor(h / 8)));
+    const tileW = w / tilesX;
+    const tileH = h / tilesY;
+    // Build one lookup table per tile
+    const luts = new Uint8Array(tilesX * tilesY * 256);
+    const histo = new Float64Array(256);
+    for (let ty=0; ty<tilesY; ty++) {
+        const y0 = Math.round(ty * tileH);
+        const y1 = Math.round((ty + 1) * tileH);
+        for (let tx=0; tx<tilesX; tx++) {
+            const x0 = Math.round(tx * tileW);
+            const x1 = Math.round((tx + 1) * tileW);
+            histo.fill(0);
+            for (let y=y0; y<y1; y++) {
+                for (let x=x0; x<x1; x++) {
+                    histo[luma[(y*w)+x]]++;
+                }
+            }
+            const n = (x1 - x0) * (y1 - y0);
+            clipHistogram(histo, clip * n / 256);
+            const lut = luts.subarray(((ty*tilesX)+tx) * 256);
+            equalizeLut(histo, n, lut);
+        }
+    }
+    // Bilinear blend of the lookup tables of the surrounding tile centers.
+    // The column weights are the same for every row, so work them out once.
+    const tx0s = new Int32Array(w);
+    const tx1s = new Int32Array(w);
+    const dxs = new Float32Array(w);
+    for (let x=0; x<w; x++) {
+        const fx = Math.max(0, Math.min(tilesX - 1,
+            ((x + 0.5) / tileW) - 0.5));
+        tx0s[x] = Math.floor(fx);
+        tx1s[x] = Math.min(tx0s[x] + 1, tilesX - 1);
+        dxs[x] = fx - tx0s[x];
+    }
+    for (let y=0; y<h; y++) {
+        const fy = Math.max(0, Math.min(tilesY - 1,
+            ((y + 0.5) / tileH) - 0.5));
+        const ty0 = Math.floor(fy);
+        const ty1 = Math.min(ty0 + 1, tilesY - 1);
+        const dy = fy - ty0;
+        for (let x=0; x<w; x++) {
+            const v = luma[(y*w)+x];
+            const dx = dxs[x];
+            const a = luts[(((ty0*tilesX)+tx0s[x]) << 8) + v];
+            const b = luts[(((ty0*tilesX)+tx1s[x]) << 8) + v];
+            const c = luts[(((ty1*tilesX)+tx0s[x]) << 8) + v];
+            const d = luts[(((ty1*tilesX)+tx1s[x]) << 8) + v];
+            const top = a + ((b - a) * dx);
+            const bottom = c + ((d - c) * dx);
+            luma[(y*w)+x] = Math.round(top + ((bottom - top) * dy));
+        }
+    }
+}
+
+// Return the Otsu threshold of luma: the level k that maximizes the between
+// class variance of the dark (<= k) and light (> k) pixels
+export function otsuThreshold(luma) {
+    const histo = histogram(luma);
+    const n = luma.length;
+    let sumAll = 0;
+    for (let v=0; v<256; v++) {
+        sumAll += v * histo[v];
+    }
+    let best = 0;
+    let bestVar = -1;
+    let n0 = 0;
+    let sum0 = 0;
+    for (let k=0; k<255; k++) {
+        n0 += histo[k];
+        sum0 += k * histo[k];
+        const n1 = n - n0;
+        if (n0 == 0 || n1 == 0) {
+            continue;
+        }
+        const mean0 = sum0 / n0;
+        const mean1 = (sumAll - sum0) / n1;
+        const between = n0 * n1 * (mean0 - mean1) * (mean0 - mean1);
+        if (between > bestVar) {
+            bestVar = between;
+            best = k;
+        }
+    }
+    return best;
+}
+
+// Draw a histogram as bars filling the canvas of ctx (a 2D context of a
+// canvas or OffscreenCanvas), with a labeled vertical line for each luma
+// level in cutoffs (an object of name: level)
+export function drawHistogram(ctx, histo, cutoffs) {
+    const {width, height} = ctx.canvas;
+    ctx.clearRect(0, 0, width, height);
+    const peak = Math.max(1, ...histo);
+    const barW = width / 256;
+    ctx.fillStyle = "#888";
+    for (let v=0; v<256; v++) {
+        const barH = Math.round(height * histo[v] / peak);
+        ctx.fillRect(v * barW, height - barH, Math.ceil(barW), barH);
+    }
+    ctx.font = "10px sans-serif";
+    ctx.textBaseline = "top";
+    ctx.fillStyle = "#ffc800";
+    Object.entries(cutoffs).forEach(([name, level], i) => {
+        const v = Math.max(0, Math.min(255, level));
+        const x = Math.round((v + 0.5) * barW);
+        ctx.fillRect(x, 0, 1, height);
+        ctx.fillText(`${name} ${level}`, Math.min(x + 2, width - 60),
+            2 + (11 * i));
+    });
+}
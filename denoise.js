@@ -0,0 +1,114 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free wavelet denoising by hard or soft thresholding of detail subbands.
+// This runs between the forward and inverse wavelet transforms.
+//
+// Thresholds are in luma units. Since the transforms keep averages at unity
+// gain, the noise in each level's details is about half of the level before,
+// and the diagonal subband gets about twice the noise of the horizontal and
+// vertical subbands (exactly so for Haar, roughly so for the others).
+
+import { storageFor, subbands } from './wavelets.js';
+
+// Return noise gain of a subband relative to the pixel noise
+function bandGain(band) {
+    return ((band.orient == "D") ? 2 : 1) / (1 << (band.level - 1));
+}
+
+// Return the median of an array of numbers (sorts a copy)
+function median(values) {
+    if (values.length == 0) {
+        return 0;
+    }
+    const sorted = Float32Array.from(values).sort();
+    const mid = sorted.length >> 1;
+    return (sorted.length & 1) ? sorted[mid]
+        : (sorted[mid-1] + sorted[mid]) / 2;
+}
+
+// Return the detail coefficients of a subband as an array (in luma units)
+function bandValues(w, coef, band, load) {
+    const values = new Float32Array((band.x1 - band.x0) * (band.y1 - band.y0));
+    let i = 0;
+    for (let y=band.y0; y<band.y1; y++) {
+        for (let x=band.x0; x<band.x1; x++) {
+            values[i++] = load(coef[(y*w)+x], true);
+        }
+    }
+    return values;
+}
+
+// Estimate pixel noise standard deviation with the median absolute deviation
+// of the level 1 diagonal subband: sigma = median(|D1|) / 0.6745
+export function estimateNoise(w, h, coef) {
+    const {load} = storageFor(coef);
+    const d1 = subbands(w, h, 1)[2];
+    const values = bandValues(w, coef, d1, load).map(Math.abs);
+    return median(values) / 0.6745 / bandGain(d1);
+}
+
+// Return v after hard or soft thresholding at t
+export function threshold(v, t, soft) {
+    if (v > -t && v < t) {
+        return 0;
+    }
+    if (!soft) {
+        return v;
+    }
+    return (v > 0) ? v - t : v + t;
+}
+
+// Return the threshold for a subband in luma units. Manual thresholds come
+// from options.denoiseThresholds (one per level). VisuShrink uses the
+// universal threshold sigma*sqrt(2*ln(N)), and BayesShrink uses
+// sigma^2/sigmaX, where sigmaX is the estimated signal standard deviation of
+// the subband.
+function bandThreshold(w, h, coef, band, sigma, load, options) {
+    switch(options.denoiseAuto) {
+    case "VisuShrink":
+        return sigma * bandGain(band) * Math.sqrt(2 * Math.log(w * h));
+    case "BayesShrink": {
+        const noise = sigma * bandGain(band);
+        const values = bandValues(w, coef, band, load);
+        let sumSq = 0;
+        let maxAbs = 0;
+        for (const v of values) {
+            sumSq += v * v;
+            maxAbs = Math.max(maxAbs, Math.abs(v));
+        }
+        const varY = (values.length > 0) ? sumSq / values.length : 0;
+        const sigmaX = Math.sqrt(Math.max(varY - (noise * noise), 0));
+        // All noise and no signal means the whole subband should go
+        return (sigmaX > 0) ? (noise * noise) / sigmaX : maxAbs + 1;
+    }
+    default:
+        return options.denoiseThresholds[band.level-1] ?? 0;
+    }
+}
+
+// Threshold the detail subbands of a coefficient buffer in-place.
+// options.denoise is "None", "Hard", or "Soft", and options.denoiseAuto is
+// "Manual", "VisuShrink", or "BayesShrink".
+export function denoiseSubbands(w, h, levels, coef, options) {
+    if (options.denoise == "None") {
+        return;
+    }
+    const soft = options.denoise == "Soft";
+    const {load, store} = storageFor(coef);
+    const sigma = (options.denoiseAuto == "Manual") ? 0
+        : estimateNoise(w, h, coef);
+    for (const band of subbands(w, h, levels)) {
+        const t = bandThreshold(w, h, coef, band, sigma, load, options);
+        if (t <= 0) {
+            continue;
+        }
+        for (let y=band.y0; y<band.y1; y++) {
+            for (let x=band.x0; x<band.x1; x++) {
+                const i = (y * w) + x;
+                coef[i] = store(threshold(load(coef[i], true), t, soft), true);
+            }
+        }
+    }
+}
@@ -0,0 +1,144 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Barcode and QR code detection on filtered frames. This uses the browser's
+// BarcodeDetector (Shape Detection API) when there is one, or else the pure-JS
+// QR decoder in qrdecode.js. Detection runs on the filtered luma and the raw
+// (unfiltered) luma of the same frame, so the counts show whether the filter
+// settings help or hurt decoding.
+
+import { decodeQR } from './qrdecode.js';
+
+// Minimum time between detection runs (ms). Detecting every frame would
+// slow down the filter chain for little benefit.
+export const DETECT_INTERVAL = 250;
+
+// BarcodeDetector instance (a Promise, since getting its formats is async),
+// or null for the pure-JS fallback
+const DETECTOR = (typeof BarcodeDetector === "undefined") ? null
+    : BarcodeDetector.getSupportedFormats()
+    .then((formats) => new BarcodeDetector({formats}))
+    .catch((err) => {
+        console.log("BarcodeDetector failed, using QR decoder", err);
+        return null;
+    });
+
+// Return a Promise of the name of the detector that detectCodes uses. This
+// waits for the BarcodeDetector, since it can fail and fall back to the QR
+// decoder after the page has loaded.
+export async function detectorName() {
+    const detector = DETECTOR && await DETECTOR;
+    return detector ? "BarcodeDetector" : "QR decoder";
+}
+
+// Convert w*h luma to an opaque greyscale ImageData for BarcodeDetector
+function lumaImageData(luma, w, h) {
+    const image = new ImageData(w, h);
+    const rgba = image.data;
+    for (let i=0, j=0; j < luma.length; i += 4, j++) {
+        rgba[i] = rgba[i+1] = rgba[i+2] = luma[j];
+        rgba[i+3] = 255;
+    }
+    return image;
+}
+
+// Detect codes in a w*h luma frame. Returns a Promise of a list of
+// {rawValue, format, cornerPoints}, where cornerPoints are the four corners
+// of the code ({x, y} in frame pixels).
+export async function detectCodes(luma, w, h) {
+    const detector = DETECTOR && await DETECTOR;
+    if (!detector) {
+        return decodeQR(luma, w, h);
+    }
+    const found = await detector.detect(lumaImageData(luma, w, h));
+    return found.map(({rawValue, format, cornerPoints}) =>
+        ({rawValue, format, cornerPoints}));
+}
+
+// Return a function that takes a filtered frame {luma, raw, w, h} (raw is
+// the unfiltered luma) and detects codes in both. It returns a Promise of
+// {codes, rawCodes, detector} (detector is the name of the detector used),
+// or null when it skips the frame because a detection is still running or
+// the last one started less than DETECT_INTERVAL ms ago. The luma planes get
+// copied, since the frame buffers get reused.
+export function throttledDetector() {
+    let busy = false;
+    let lastRun = -Infinity;
+    return function(frame) {
+        const now = performance.now();
+        if (busy || now - lastRun < DETECT_INTERVAL) {
+            return null;
+        }
+        busy = true;
+        lastRun = now;
+        const {w, h} = frame;
+        return Promise.all([
+            detectCodes(frame.luma.slice(), w, h),
+            detectCodes(frame.raw.slice(), w, h),
+            detectorName(),
+        ])
+        .then(([codes, rawCodes, detector]) => ({codes, rawCodes, detector}))
+        .finally(() => {
+            busy = false;
+        });
+    };
+}
+
+// Return a new decode success counter: detection runs, and runs that found
+// codes in the filtered and raw frames
+export function createDetectStats() {
+    return {runs: 0, filtered: 0, raw: 0};
+}
+
+// Count a detection run's results ({codes, rawCodes}) in stats
+export function countDetections(stats, results) {
+    stats.runs++;
+    stats.filtered += (results.codes.length > 0) ? 1 : 0;
+    stats.raw += (results.rawCodes.length > 0) ? 1 : 0;
+}
+
+// Return the decode success counts as text
+export function formatDetectStats(stats) {
+    const {runs, filtered, raw} = stats;
+    return `filtered ${filtered}/${runs}, raw ${raw}/${runs}`;
+}
+
+// Draw outlines around detected codes (from detectCodes) with their text,
+// on the 2D context of a canvas the same size as the frame
+export function drawCodes(ctx, codes) {
+    const {width, height} = ctx.canvas;
+    ctx.clearRect(0, 0, width, height);
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "#32ea39";
+    ctx.font = "bold 14px sans-serif";
+    ctx.textBaseline = "top";
+    for (const code of codes) {
+        const points = code.cornerPoints;
+        if (points.length == 0) {
+            continue;
+        }
+        ctx.beginPath();
+        points.forEach((p, i) => {
+            if (i == 0) {
+                ctx.moveTo(p.x, p.y);
+            } else {
+                ctx.lineTo(p.x, p.y);
+            }
+        });
+        ctx.closePath();
+        ctx.stroke();
+        // Label below the outline, kept inside the canvas
+        const x = Math.max(0, Math.min(...points.map((p) => p.x)));
+        const y = Math.max(0, Math.max(...points.map((p) => p.y)) + 4);
+        const text = code.rawValue.length > 40
+            ? `${code.rawValue.slice(0, 39)}…` : code.rawValue;
+        const textW = ctx.measureText(text).width;
+        const tx = Math.min(x, Math.max(0, width - textW - 4));
+        const ty = Math.min(y, height - 18);
+        ctx.fillStyle = "rgba(0,0,0,0.6)";
+        ctx.fillRect(tx, ty, textW + 4, 18);
+        ctx.fillStyle = "#fff";
+        ctx.fillText(text, tx + 2, ty + 2);
+    }
+}
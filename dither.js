@@ -0,0 +1,232 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free dithering for 1-bit output. All of these take a bias argument that
+// works like the threshold of onebit(): without dithering, pixels with luma
+// below bias become black. With dithering, (128 - bias) gets added to luma as
+// a brightness offset before quantizing at the 128 midpoint.
+
+import { scratch } from './buffers.js';
+
+// Error diffusion kernels as [dx, dy, weight] taps with a weight divisor.
+// Atkinson only diffuses 6/8 of the error on purpose (more contrast).
+const KERNELS = {
+    FloydSteinberg: {div: 16, taps: [
+        [1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1],
+    ]},
+    Atkinson: {div: 8, taps: [
+        [1, 0, 1], [2, 0, 1],
+        [-1, 1, 1], [0, 1, 1], [1, 1, 1],
+        [0, 2, 1],
+    ]},
+    JarvisJudiceNinke: {div: 48, taps: [
+        [1, 0, 7], [2, 0, 5],
+        [-2, 1, 3], [-1, 1, 5], [0, 1, 7], [1, 1, 5], [2, 1, 3],
+        [-2, 2, 1], [-1, 2, 3], [0, 2, 5], [1, 2, 3], [2, 2, 1],
+    ]},
+};
+
+// Names of the available dither modes (for building UI controls)
+export const DITHER_MODES = ["None", "FloydSteinberg", "Atkinson",
+    "JarvisJudiceNinke", "Bayer2", "Bayer4", "Bayer8", "BlueNoise"];
+
+// Dither luma in-place to 0 or 255 using the named mode
+export function dither(luma, w, h, mode, bias) {
+    switch(mode) {
+    case "FloydSteinberg":
+    case "Atkinson":
+    case "JarvisJudiceNinke":
+        ditherErrorDiffusion(luma, w, h, KERNELS[mode], bias);
+        break;
+    case "Bayer2":
+        ditherOrdered(luma, w, h, bayerMap(2), 2, bias);
+        break;
+    case "Bayer4":
+        ditherOrdered(luma, w, h, bayerMap(4), 4, bias);
+        break;
+    case "Bayer8":
+        ditherOrdered(luma, w, h, bayerMap(8), 8, bias);
+        break;
+    case "BlueNoise":
+        ditherOrdered(luma, w, h, blueNoiseMap(), BLUE_SIZE, bias);
+        break;
+    default:
+        throw new Error(`unknown dither mode: ${mode}`);
+    }
+}
+
+// Error diffusion dither in-place with the given kernel
+export function ditherErrorDiffusion(luma, w, h, kernel, bias) {
+    // Work in Int16 so accumulated errors can go out of the 0..255 range.
+    // The scratch buffer gets reset to the offset luma before any error
+    // spreads into it.
+    const offset = 128 - bias;
+    const buf = scratch("dither", Int16Array, w * h);
+    for (let i=0; i<buf.length; i++) {
+        buf[i] = luma[i] + offset;
+    }
+    const {div, taps} = kernel;
+    for (let y=0; y<h; y++) {
+        for (let x=0; x<w; x++) {
+            const i = (y * w) + x;
+            const old = buf[i];
+            const q = (old < 128) ? 0 : 255;
+            luma[i] = q;
+            const err = old - q;
+            for (const [dx, dy, weight] of taps) {
+                const tx = x + dx;
+                const ty = y + dy;
+                if (tx >= 0 && tx < w && ty < h) {
+                    buf[(ty * w) + tx] += Math.trunc((err * weight) / div);
+                }
+            }
+        }
+    }
+}
+
+// Ordered dither in-place with a size*size map of thresholds in 0..255
+export function ditherOrdered(luma, w, h, map, size, bias) {
+    const offset = 128 - bias;
+    for (let y=0; y<h; y++) {
+        const mapBase = (y % size) * size;
+        for (let x=0; x<w; x++) {
+            const i = (y * w) + x;
+            const Y = luma[i] + offset;
+            luma[i] = (Y < map[mapBase+(x % size)]) ? 0 : 255;
+        }
+    }
+}
+
+// Convert a map of ranks 0..n-1 into thresholds spread evenly over 0..255
+function ranksToThresholds(ranks) {
+    const n = ranks.length;
+    return Uint8Array.from(ranks, (r) => Math.floor(((r + 0.5) * 256) / n));
+}
+
+// Cache of threshold maps (they only need to be built once)
+const MAP_CACHE = {};
+
+// Return a size*size Bayer threshold map (size is a power of 2)
+export function bayerMap(size) {
+    const key = `bayer${size}`;
+    if (!MAP_CACHE[key]) {
+        // Build the index matrix recursively: M(2n) = [4M, 4M+2; 4M+3, 4M+1]
+        let m = [0];
+        for (let n=1; n<size; n<<=1) {
+            const next = new Array(4 * n * n);
+            for (let y=0; y<n; y++) {
+                for (let x=0; x<n; x++) {
+                    const v = 4 * m[(y*n)+x];
+                    next[(y*2*n)+x]           = v;
+                    next[(y*2*n)+x+n]         = v + 2;
+                    next[((y+n)*2*n)+x]       = v + 3;
+                    next[((y+n)*2*n)+x+n]     = v + 1;
+                }
+            }
+            m = next;
+        }
+        MAP_CACHE[key] = ranksToThresholds(m);
+    }
+    return MAP_CACHE[key];
+}
+
+// Blue noise threshold map size (the map tiles toroidally)
+const BLUE_SIZE = 64;
+
+// Return a BLUE_SIZE*BLUE_SIZE blue noise threshold map. The map is built
+// on first use with Ulichney's void-and-cluster method, using a fixed random
+// seed so the pattern is the same every time.
+export function blueNoiseMap() {
+    if (!MAP_CACHE.blue) {
+        MAP_CACHE.blue = ranksToThresholds(voidAndCluster(BLUE_SIZE, 1.5));
+    }
+    return MAP_CACHE.blue;
+}
+
+// Return a size*size array of void-and-cluster dither ranks
+function voidAndCluster(size, sigma) {
+    const n = size * size;
+    // Precompute the toroidal Gaussian energy filter for every (dx, dy)
+    const gauss = new Float32Array(n);
+    for (let dy=0; dy<size; dy++) {
+        for (let dx=0; dx<size; dx++) {
+            const x = Math.min(dx, size - dx);
+            const y = Math.min(dy, size - dy);
+            gauss[(dy*size)+dx] = Math.exp(-((x*x) + (y*y)) / (2*sigma*sigma));
+        }
+    }
+    const bits = new Uint8Array(n);
+    const energy = new Float32Array(n);
+    // Add or remove the energy contribution of a minority pixel at p
+    const splat = (p, sign) => {
+        const px = p % size;
+        const py = (p / size) | 0;
+        for (let y=0; y<size; y++) {
+            const gy = ((y - py + size) % size) * size;
+            for (let x=0; x<size; x++) {
+                energy[(y*size)+x] += sign * gauss[gy+((x - px + size) % size)];
+            }
+        }
+    };
+    // Return index of max energy 1 (tightest cluster) or min energy 0 (void)
+    const find = (bit, wantMax) => {
+        let best = -1;
+        for (let i=0; i<n; i++) {
+            if (bits[i] == bit && (best < 0
+                || (wantMax ? energy[i] > energy[best]
+                            : energy[i] < energy[best]))) {
+                best = i;
+            }
+        }
+        return best;
+    };
+    // Seed with ~10% random pixels (mulberry32 PRNG with a fixed seed)
+    let seed = 0x5eed;
+    const random = () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    let ones = 0;
+    for (let i=0; i<n; i++) {
+        if (random() < 0.1) {
+            bits[i] = 1;
+            splat(i, 1);
+            ones++;
+        }
+    }
+    // Spread the seed pattern out by moving tightest clusters into voids
+    for (let iter=0; iter<n; iter++) {
+        const cluster = find(1, true);
+        bits[cluster] = 0;
+        splat(cluster, -1);
+        const gap = find(0, false);
+        bits[gap] = 1;
+        splat(gap, 1);
+        if (gap == cluster) {
+            break;
+        }
+    }
+    const seedBits = bits.slice();
+    const seedEnergy = energy.slice();
+    const ranks = new Uint16Array(n);
+    // Phase 1: rank the seed pixels by removing tightest clusters first
+    for (let rank=ones-1; rank>=0; rank--) {
+        const cluster = find(1, true);
+        bits[cluster] = 0;
+        splat(cluster, -1);
+        ranks[cluster] = rank;
+    }
+    // Phase 2: restore the seed pattern, then fill the largest voids
+    bits.set(seedBits);
+    energy.set(seedEnergy);
+    for (let rank=ones; rank<n; rank++) {
+        const gap = find(0, false);
+        bits[gap] = 1;
+        splat(gap, 1);
+        ranks[gap] = rank;
+    }
+    return ranks;
+}
@@ -0,0 +1,112 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free encoders for saving filtered luma buffers as files. Everything
+// returns a Uint8Array (or a string for the C header), so the results can be
+// wrapped in a Blob for download in the browser, or written to disk in Node.
+
+const encoder = new TextEncoder();
+
+// Return the concatenation of a text header and binary pixel data
+function withHeader(header, data) {
+    const head = encoder.encode(header);
+    const out = new Uint8Array(head.length + data.length);
+    out.set(head, 0);
+    out.set(data, head.length);
+    return out;
+}
+
+// Pack luma into 1 bit per pixel with rows padded to whole bytes. Pixels
+// darker than 128 become 1 bits (ink), and the leftmost pixel of each byte
+// goes in the most significant bit. This is the bit order used by PBM, ESC/POS
+// raster images, and most monochrome display controllers.
+export function packBits(luma, w, h) {
+    const rowBytes = (w + 7) >> 3;
+    const packed = new Uint8Array(rowBytes * h);
+    for (let y=0; y<h; y++) {
+        const rowBase = y * w;
+        const outBase = y * rowBytes;
+        for (let x=0; x<w; x++) {
+            if (luma[rowBase+x] < 128) {
+                packed[outBase+(x>>3)] |= 0x80 >> (x & 7);
+            }
+        }
+    }
+    return packed;
+}
+
+// Return luma as a binary (P5) 8-bit PGM file
+export function encodePGM(luma, w, h) {
+    return withHeader(`P5\n${w} ${h}\n255\n`, luma.subarray(0, w * h));
+}
+
+// Return luma as a binary (P4) packed 1-bit PBM file
+export function encodePBM(luma, w, h) {
+    return withHeader(`P4\n${w} ${h}\n`, packBits(luma, w, h));
+}
+
+// Return luma scaled (nearest neighbor) to dots pixels wide, keeping the
+// aspect ratio. Returns {luma, w, h}.
+export function scaleToWidth(luma, w, h, dots) {
+    const outH = Math.max(1, Math.round((h * dots) / w));
+    const out = new Uint8Array(dots * outH);
+    for (let y=0; y<outH; y++) {
+        const srcBase = Math.floor((y * h) / outH) * w;
+        for (let x=0; x<dots; x++) {
+            out[(y*dots)+x] = luma[srcBase+Math.floor((x * w) / dots)];
+        }
+    }
+    return {luma: out, w: dots, h: outH};
+}
+
+// Return an ESC/POS print job for luma scaled to fit a dots wide thermal
+// printer (384 dots for 58mm paper, 576 dots for 80mm paper). The job is:
+//   ESC @                     (initialize printer)
+//   GS v 0 m xL xH yL yH d... (print raster bit image, m=0 for normal size)
+//   ESC d 3                   (feed 3 lines so the image clears the cutter)
+// where x is the raster width in bytes and y is the height in dots.
+export function encodeEscPosRaster(luma, w, h, dots) {
+    const scaled = scaleToWidth(luma, w, h, dots);
+    const rowBytes = dots >> 3;
+    const rows = scaled.h;
+    const bits = packBits(scaled.luma, dots, rows);
+    const head = [
+        0x1b, 0x40,
+        0x1d, 0x76, 0x30, 0x00,
+        rowBytes & 0xff, rowBytes >> 8, rows & 0xff, rows >> 8,
+    ];
+    const tail = [0x1b, 0x64, 0x03];
+    const out = new Uint8Array(head.length + bits.length + tail.length);
+    out.set(head, 0);
+    out.set(bits, head.length);
+    out.set(tail, head.length + bits.length);
+    return out;
+}
+
+// Return a C header declaring luma as a packed 1-bit byte array (same bit
+// order as packBits) for e-paper or OLED firmware. name should be a valid C
+// identifier. The array is static, so more than one source file can include
+// the header without duplicate symbol errors at link time.
+export function encodeCHeader(luma, w, h, name) {
+    const bits = packBits(luma, w, h);
+    const upper = name.toUpperCase();
+    const lines = [
+        `// ${name}: ${w}x${h} pixels, 1 bit per pixel, rows padded to bytes`,
+        `// MSB is leftmost pixel, 1 = dark, 0 = light`,
+        `#pragma once`,
+        `#include <stdint.h>`,
+        ``,
+        `#define ${upper}_WIDTH ${w}`,
+        `#define ${upper}_HEIGHT ${h}`,
+        ``,
+        `static const uint8_t ${name}[${bits.length}] = {`,
+    ];
+    for (let i=0; i<bits.length; i+=12) {
+        const row = Array.from(bits.subarray(i, i + 12),
+            (b) => "0x" + b.toString(16).padStart(2, "0"));
+        lines.push("    " + row.join(", ") + ",");
+    }
+    lines.push("};", "");
+    return lines.join("\n");
+}
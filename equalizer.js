@@ -0,0 +1,38 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free wavelet equalizer. This scales the detail subbands of each level
+// and orientation by a gain factor between the forward and inverse wavelet
+// transforms. Gains above 1 sharpen (boost detail at that scale), gains below
+// 1 smooth, and 0 removes the subband entirely (e.g. to get rid of moiré).
+
+import { storageFor, subbands } from './wavelets.js';
+
+// Orientation index of each subband in a level's [H, V, D] gain triple
+const ORIENT_INDEX = {H: 0, V: 1, D: 2};
+
+// Return true if any of the gains would change the coefficients
+export function hasGains(gains) {
+    return gains.some((triple) => triple.some((g) => g != 1));
+}
+
+// Scale detail subbands in-place. gains is an array with one [H, V, D] triple
+// per level, for horizontal, vertical, and diagonal detail. Levels without a
+// triple are left alone.
+export function equalizeSubbands(w, h, levels, coef, gains) {
+    const {load, store} = storageFor(coef);
+    for (const band of subbands(w, h, levels)) {
+        const triple = gains[band.level-1];
+        const g = triple ? triple[ORIENT_INDEX[band.orient]] : 1;
+        if (g == 1) {
+            continue;
+        }
+        for (let y=band.y0; y<band.y1; y++) {
+            for (let x=band.x0; x<band.x1; x++) {
+                const i = (y * w) + x;
+                coef[i] = store(load(coef[i], true) * g, true);
+            }
+        }
+    }
+}
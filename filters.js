@@ -0,0 +1,617 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+import { scratch } from './buffers.js';
+import { noLap } from './stats.js';
+import { dither } from './dither.js';
+import {
+    histogram, percentileStretch, equalizeHistogram, clahe, otsuThreshold,
+} from './contrast.js';
+import { denoiseSubbands } from './denoise.js';
+import { hasGains, equalizeSubbands } from './equalizer.js';
+import { renderCoefficients } from './coefview.js';
+import {
+    temporalPixels, temporalCoefficients, motionView, frozenFrame, holdFrame,
+} from './temporal.js';
+import {
+    FAMILIES, waveletFwd, waveletInv, coefficientsFrom, coefficientsToLuma,
+    levelSizes, maxLevels,
+} from './wavelets.js';
+
+// DOM-free wavelet filter chain. Everything in here works on plain typed
+// arrays and a plain options object, so the same code can run in the browser
+// UI, in a worker, or in Node scripts and tests.
+
+// Default filter chain settings (these match the controls in index.html)
+export const DEFAULT_OPTIONS = Object.freeze({
+    levels: 6,              // Wavelet transform levels (1..6, capped by size)
+    transform: "None",      // "None", "Haar", "Linear", "CDF53", "CDF97", "D4"
+    squash: true,           // Replace last level's averages with sqbias?
+    sqbias: 160,            // Luma value for squashed averages
+    invWave: true,          // Do inverse transform after forward transform?
+    precision: "lofi",      // Coefficients: "lofi" (8-bit), "int16", "float32"
+    denoise: "None",        // Detail thresholding: "None", "Hard", "Soft"
+    denoiseAuto: "Manual",  // "Manual", "VisuShrink", or "BayesShrink"
+    denoiseThresholds: Object.freeze([8, 6, 4, 2, 1, 0]),  // Manual, per level
+    eqGains: Object.freeze(Array(6).fill(Object.freeze([1, 1, 1]))),  // [H,V,D]
+    coefView: "Raw",        // Without inverse: "Raw", "Grey", or "Diverging"
+    coefScale: "Subband",   // Coefficient view scaling: "Subband" or "Log"
+    coefGrid: true,         // Draw subband boundaries in coefficient view?
+    contrast: "Histogram",  // Auto-contrast mode (see CONTRAST_MODES)
+    contrastLow: 1,         // Percentile stretch: low percentile (0..100)
+    contrastHigh: 99,       // Percentile stretch: high percentile (0..100)
+    claheTiles: 8,          // CLAHE: tiles across and down
+    claheClip: 2,           // CLAHE: clip limit (multiple of average bin)
+    invLuma: false,         // Invert luma?
+    onebit: true,           // Threshold to 1-bit?
+    onebitBias: 120,        // Luma threshold for 1-bit (unless "Otsu")
+    dither: "None",         // 1-bit dither mode (see DITHER_MODES)
+    colorMode: "Mono",      // Colour mode (see COLOR_MODES in color.js)
+    temporal: "None",       // Frame averaging: "None", "EMA", or "Ring"
+    temporalTarget: "Pixels",  // Average "Pixels" or "Coefficients"
+    temporalStrength: 0.5,  // How much previous frames count (0..1)
+    motionView: false,      // Show difference from the frame average?
+    freezeStable: false,    // Hold the output while the input is stable?
+});
+
+// Return a complete options object with defaults filled in for missing keys
+export function resolveOptions(options) {
+    return {...DEFAULT_OPTIONS, ...options};
+}
+
+// Return an array of 32-bit RGBA input converted to 8-bit Rec. 601 luma. If
+// out is given, the luma goes there instead of a new array.
+export function lumaFrom(rgba, out) {
+    // Convert a 4-byte RGBA pixel to 1-byte approximate Rec. 601 luma (Y')
+    // see: https://en.wikipedia.org/wiki/Luma_(video)
+    //   Y'[601] = 0.299*R' + 0.587*G' + 0.114*B'
+    // The official formula uses floating point coefficients, but the image
+    // data is 8-bit unsigned integers. Since an approximation is fine here,
+    // we can normalize the coefficients to 1*B' and round them to integers:
+    //   Y' = (3*R' + 5*G' + 1*B') / 9
+    // The sum of coefficients is 3 + 5 + 1 = 9, which is annoying. If the sum
+    // was 8, we could use a shift (>>3). Approximating 5*G' as 4*G', gives:
+    //   Y' = (3*R' + 4*G' + B') >> 3
+    const luma = out || new Uint8Array(rgba.length >> 2);
+    for (let i=0; i < rgba.length; i += 4) {
+        luma[i>>2] = ((3 * rgba[i]) + (4 * rgba[i+1]) + rgba[i+2]) >> 3;
+    }
+    return luma;
+}
+
+// Exapand pixel values from the luma array into the RGBA array as grayscale
+export function expandIntoRGBA(luma, rgba) {
+    // luma is Uint8ClampedArray using 1 byte per pixel
+    // rgba is Uing8ClampedArray using 4 bytes per pixel
+    let i = 0;
+    for (const Y of luma) {
+        rgba[i] = Y;
+        rgba[i+1] = Y;
+        rgba[i+2] = Y;
+        rgba[i+3] = 255;
+        i += 4;
+    }
+}
+
+// Invert brightness values of luma array (should be a Unint8ClampedArray)
+export function invert(luma) {
+    let i = 0;
+    for (const Y of luma) {
+        luma[i] = 255 - Y;
+        i++;
+    }
+}
+
+// Threshold luma array to 0 or 255 at the options.onebitBias luma level
+export function onebit(luma, options) {
+    let i = 0;
+    const bias = resolveOptions(options).onebitBias;
+    for (const Y of luma) {
+        luma[i] = (Y < bias) ? 0 : 255;
+        i++;
+    }
+}
+
+// Forward linear lifting scheme wavelet transform
+export function waveletFwdLinear(w, h, levels, luma, options) {
+    /* Do a lifting scheme in-place linear wavelet transform See "Building Your
+    *  Own Wavelets at Home" course notes by Wim Sweldens and Peter Schröder,
+    *  Section 1.5 The Linear Wavelet Transform.
+    *
+    *  cols and rows define the pixel buffer subregion that the current level
+    *  of the wavelet transform operates on. Level 1 does the whole pixel
+    *  buffer, level 2 does only the top left quadrant, and so on. When cols
+    *  or rows is odd, the last even sample has no odd partner.
+    */
+    const {squash, sqbias} = resolveOptions(options);
+    const rowBuf = scratch("rowBuf", Uint8Array, w);
+    const colBuf = scratch("colBuf", Uint8Array, h);
+    const sizes = levelSizes(w, h, levels);
+    for (let level=1; level<=levels; level++) {
+        const [cols, rows] = sizes[level-1];
+        const nsCols = (cols + 1) >> 1;     // Averages per row
+        const nsRows = (rows + 1) >> 1;     // Averages per column
+        // Calculate horizontal average and difference signals
+        for (let y=0; y<rows; y+=1) {
+            const rowBase = y * w;
+            // Replace odd samples with diff signal = sample - prediction
+            for (let x=0; x+1<cols; x+=2) {
+                const even1 = rowBase + x;
+                const odd   = rowBase + x + 1;
+                const even2 = rowBase + x + ((x+2<cols) ? 2 : 0);
+                const prediction = (luma[even1] + luma[even2]) >> 1;
+                let diff = (luma[odd] - prediction) >> 1;      // store at 0.5x
+                diff = (diff < -128) ? -128 : ((diff > 127) ? 127 : diff);
+                luma[odd] = diff & 0xff;
+            }
+            // De-interleave the even and odd signals
+            for (let x=0; x<cols; x+=2) {
+                rowBuf[x>>1] = luma[rowBase+x];
+                if (x+1<cols) {
+                    rowBuf[nsCols+(x>>1)] = luma[rowBase+x+1];
+                }
+            }
+            for (let x=0; x<cols; x++) {
+                luma[rowBase+x] = rowBuf[x];
+            }
+        }
+        // Calculate vertical average and difference signals
+        for (let x=0; x<cols; x+=1) {
+            // Replace odd samples with diff signal = sample - prediction
+            for (let y=0; y+1<rows; y+=2) {
+                const even1 = (y * w) + x;
+                const odd   = even1 + w;
+                const even2 = (y+2<rows) ? (odd + w) : even1;
+                const prediction = (luma[even1] + luma[even2]) >> 1;
+                let diff = (luma[odd] - prediction) >> 1;      // store at 0.5x
+                diff = (diff < -128) ? -128 : ((diff > 127) ? 127 : diff);
+                luma[odd] = diff & 0xff;
+            }
+            // De-interleave the even and odd signals
+            for (let y=0; y<rows; y+=2) {
+                let avg = luma[(y*w)+x];
+                if (squash && level==levels && (x<nsCols)) {
+                    avg = sqbias;
+                }
+                colBuf[y>>1] = avg;
+                if (y+1<rows) {
+                    colBuf[nsRows+(y>>1)] = luma[((y+1)*w)+x];
+                }
+            }
+            for (let y=0; y<rows; y++) {
+                luma[(y*w)+x] = colBuf[y];
+            }
+        }
+    }
+}
+
+// Inverse linear lifting scheme wavelet transform
+export function waveletInvLinear(w, h, levels, luma) {
+    const rowBuf = scratch("rowBuf", Uint8Array, w);
+    const colBuf = scratch("colBuf", Uint8Array, h);
+    const sizes = levelSizes(w, h, levels);
+    for (let level=levels; level>0; level--) {
+        const [cols, rows] = sizes[level-1];
+        const nsCols = (cols + 1) >> 1;     // Averages per row
+        const nsRows = (rows + 1) >> 1;     // Averages per column
+        // Invert vertical transform
+        for (let x=0; x<cols; x+=1) {
+            // Restore interleaving of even and odd signals
+            for (let y=0; y<rows; y++) {
+                colBuf[y] = luma[(y*w)+x];
+            }
+            for (let y=0; y<rows; y+=2) {
+                luma[(y*w)+x] = colBuf[y>>1];
+                if (y+1<rows) {
+                    luma[((y+1)*w)+x] = colBuf[nsRows+(y>>1)];
+                }
+            }
+            // Restore odd samples by inverting diff against prediction
+            for (let y=0; y+1<rows; y+=2) {
+                const even1 = (y * w) + x;
+                const odd   = even1 + w;
+                const even2 = (y+2<rows) ? (odd + w) : even1;
+                const prediction = (luma[even1] + luma[even2]) >> 1;
+                let diff = luma[odd] << 24 >> 23;  // extend sign, expand to 1x!
+                diff += prediction;
+                diff = (diff < 0) ? 0 : ((diff > 255) ? 255 : diff);
+                luma[odd] = diff & 0xff;
+            }
+        }
+        // Invert horizontal transform
+        for (let y=0; y<rows; y+=1) {
+            const rowBase = y * w;
+            // Restore interleaving of even and odd signals
+            for (let x=0; x<cols; x++) {
+                rowBuf[x] = luma[rowBase+x];
+            }
+            for (let x=0; x<cols; x+=2) {
+                luma[rowBase+x] = rowBuf[x>>1];
+                if (x+1<cols) {
+                    luma[rowBase+x+1] = rowBuf[nsCols+(x>>1)];
+                }
+            }
+            // Restore odd samples by inverting diff against prediction
+            for (let x=0; x+1<cols; x+=2) {
+                const even1 = rowBase + x;
+                const odd   = rowBase + x + 1;
+                const even2 = rowBase + x + ((x+2<cols) ? 2 : 0);
+                const prediction = (luma[even1] + luma[even2]) >> 1;
+                let diff = luma[odd] << 24 >> 23;  // extend sign, expand to 1x!
+                diff += prediction;
+                diff = (diff < 0) ? 0 : ((diff > 255) ? 255 : diff);
+                luma[odd] = diff & 0xff;
+            }
+        }
+    }
+}
+
+// Forward lifting scheme Haar wavelet transform
+export function waveletFwdHaar(w, h, levels, luma, options) {
+    // Do a lifting scheme in-place Haar wavelet transform
+    //   See "Building Your Own Wavelets at Home" course notes
+    //   by Wim Sweldens and Peter Schröder
+    //   Section 1.3 Haar and Lifting
+    const {squash, sqbias} = resolveOptions(options);
+    const rowBuf = scratch("rowBuf", Uint8Array, w);
+    const colBuf = scratch("colBuf", Uint8Array, h);
+    const sizes = levelSizes(w, h, levels);
+    for (let level=1; level<=levels; level++) {
+        // cols and rows define the pixel buffer subregion that the current
+        // level of the wavelet transform operates on. Level 1 does the whole
+        // pixel buffer, level 2 does only the top left quadrant, and so on.
+        // When cols or rows is odd, the last pixel pairs with itself, so it
+        // passes through as an average with no difference.
+        const [cols, rows] = sizes[level-1];
+        const nsCols = (cols + 1) >> 1;     // Averages per row
+        const nsRows = (rows + 1) >> 1;     // Averages per column
+        // Loop over all the rows (horizontal average and difference)
+        for (let y=0; y<rows; y+=1) {
+            const rowBase = y * w;
+            // Transform (x, x+1) pixel pairs into (average, difference) pairs
+            for (let x=0; x<cols; x+=2) {
+                // Scale Uint8 up by 4x and do intermediate math as Int32
+                let a = luma[rowBase+x] << 2;
+                let b = (x+1<cols) ? (luma[rowBase+x+1] << 2) : a;
+                b = (b - a) >> 1;                // Difference d/2 = (b - a)/2
+                a = a + b;                       // Average      s = a + d/2
+                // Store results in Uint8 buffer
+                rowBuf[x>>1] = (a >> 2) & 0xff;
+                if (x+1<cols) {
+                    rowBuf[nsCols+(x>>1)] = (b >> 2) & 0xff;
+                }
+            }
+            // Overwrite input pixels with buffer of averages and differences
+            for (let x=0; x<cols; x++) {
+               luma[rowBase+x] = rowBuf[x];
+            }
+        }
+        // Loop over all the columns (vertical average and difference)
+        for (let x=0; x<cols; x+=1) {
+            // Transform (y, y+1) pixel pairs into (average, difference) pairs
+            for (let y=0; y<rows; y+=2) {
+                const px0 = (y * w) + x;
+                const px1 = px0 + w;
+                // Scale Uint8 up by 4x and do intermediate math as Int32
+                let a = luma[px0] << 2;
+                let b = (y+1<rows) ? (luma[px1] << 2) : a;
+                b = (b - a) >> 1;                // Difference d/2 = (b - a)/2
+                a = a + b;                       // Average      s = a + d/2
+                // Store results in Uint8 buffer
+                let avg = (a >> 2) & 0xff;
+                if (squash && level==levels && (x<nsCols)) {
+                    avg = sqbias;
+                }
+                colBuf[y>>1] = avg;
+                if (y+1<rows) {
+                    colBuf[nsRows+(y>>1)] = (b >> 2) & 0xff;
+                }
+            }
+            // Overwrite input pixels with buffer of averages and differences
+            for (let y=0; y<rows; y++) {
+               luma[(y*w)+x] = colBuf[y];
+            }
+        }
+    }
+}
+
+// Inverse lifting scheme Haar wavelet transform
+export function waveletInvHaar(w, h, levels, luma) {
+    const rowBuf = scratch("rowBuf", Uint8Array, w);
+    const colBuf = scratch("colBuf", Uint8Array, h);
+    const sizes = levelSizes(w, h, levels);
+    for (let level=levels; level>0; level--) {
+        // cols and rows define the pixel buffer subregion that the current
+        // level of the wavelet transform operates on. Level 1 does the whole
+        // pixel buffer, level 2 does only the top left quadrant, and so on.
+        const [cols, rows] = sizes[level-1];
+        const nsCols = (cols + 1) >> 1;     // Averages per row
+        const nsRows = (rows + 1) >> 1;     // Averages per column
+        // Loop over all the columns (vertical average and difference)
+        for (let x=0; x<cols; x+=1) {
+            // Transform (average, difference) pairs into (y, y+1) pixel pairs
+            for (let y=0; y<rows; y+=2) {
+                const pxAvg = (w * (y>>1)) + x;
+                const pxDiff = (w * (nsRows+(y>>1))) + x;
+                let a = luma[pxAvg];                 // average
+                // sign extend diff (except for unpaired last pixel)
+                let b = (y+1<rows) ? (luma[pxDiff] << 24 >> 24) : 0;
+                // Invert the average and difference
+                a = a - b;
+                b = (b << 1) + a;
+                // Clamp to range 0..255 to avoid quantization noise errors
+                a = (a < 0) ? 0 : ((a > 255) ? 255 : a);
+                b = (b < 0) ? 0 : ((b > 255) ? 255 : b);
+                // Store results in Uint8 buffer
+                colBuf[y] = a & 0xff;
+                if (y+1<rows) {
+                    colBuf[y+1] = b & 0xff;
+                }
+            }
+            // Overwrite input averages and differences with pixels
+            for (let y=0; y<rows; y++) {
+              luma[(y*w)+x] = colBuf[y];
+            }
+        }
+        // Loop over all the rows (horizontal average and difference)
+        for (let y=0; y<rows; y+=1) {
+            const rowBase = y * w;
+            // Transform (average, difference) pairs into (x, x+1) pixel pairs
+            for (let x=0; x<cols; x+=2) {
+                const pxAvg = rowBase + (x>>1);
+                const pxDiff = rowBase + nsCols + (x>>1);
+                let a = luma[pxAvg];                 // average
+                // sign extend diff (except for unpaired last pixel)
+                let b = (x+1<cols) ? (luma[pxDiff] << 24 >> 24) : 0;
+                // Invert the average and difference
+                a = a - b;
+                b = (b << 1) + a;
+                // Clamp to range 0..255 to avoid quantization noise errors
+                a = (a < 0) ? 0 : ((a > 255) ? 255 : a);
+                b = (b < 0) ? 0 : ((b > 255) ? 255 : b);
+                // Store results in Uint8 buffer
+                rowBuf[x] = a & 0xff;
+                if (x+1<cols) {
+                    rowBuf[x+1] = b & 0xff;
+                }
+            }
+            // Overwrite input averages and differences with pixels
+            for (let x=0; x<cols; x++) {
+                luma[rowBase+x] = rowBuf[x];
+            }
+        }
+    }
+}
+
+export function autoContrastHistogram(w, h, luma) {
+    const binShift = 1;
+    const bins = 256 >> binShift;
+    const binSize = 1 << binShift;
+    const half = (w * h) >> 1;
+    let minLuma = 255;
+    let maxLuma = 0;
+    // Make a histogram of luma values, and track the min/max values
+    let histo = new Uint32Array(bins);
+    for(const Y of luma) {
+        if (Y < minLuma) {
+            minLuma = Y;
+        }
+        if (Y > maxLuma) {
+            maxLuma = Y;
+        }
+        histo[Y>>binShift] += 1;
+    }
+    // scale the bin counts down to reduce noise
+    histo = histo.map(n => n >> 10);
+    // Find a peak bin for the dark values
+    let firstPeak = -1;
+    let lastPeak = -1;
+    for(let i=0; i<histo.length; i++) {
+        let n = histo[i];
+        if ((firstPeak < 0) && (n > 0)) {
+            firstPeak = i;
+        } else if ((firstPeak >= 0) && (n < histo[firstPeak])) {
+            break;
+        } else if ((firstPeak >= 0) && (n >= histo[firstPeak])) {
+            firstPeak = i;
+        }
+    }
+    // Find a peak bin for the light values
+    for(let i=histo.length-1; i>0; i--) {
+        let n = histo[i];
+        if ((lastPeak < 0) && (n > 0)) {
+            lastPeak = i;
+        } else if ((lastPeak >= 0) && (n < histo[lastPeak])) {
+            break;
+        } else if ((lastPeak >= 0) && (n >= histo[lastPeak])) {
+            lastPeak = i;
+        }
+    }
+    // Calculate a threshold midway-ish between the peaks
+    let cutoff = minLuma + ((maxLuma - minLuma) >> 1);
+    if (firstPeak >= 0 && lastPeak >= 0 && firstPeak < lastPeak) {
+        cutoff = 127 - (((firstPeak + lastPeak) * binSize) >> 1);
+    }
+    // Adjust the luma values to center on the threshold
+    for(let i=0; i<luma.length; i++) {
+        let Y = luma[i] + cutoff;
+        luma[i] = (Y > 255) ? 255 : ((Y < 0) ? 0 : Y);
+    }
+    return cutoff;
+}
+
+// Return true if frames get averaged as wavelet coefficients
+function hasTemporalCoefficients(opts) {
+    return opts.temporal != "None" && opts.temporalTarget == "Coefficients";
+}
+
+// Return true if any stage needs to work on wavelet coefficients between the
+// forward and inverse transforms
+function hasCoefficientStages(opts) {
+    return opts.denoise != "None" || hasGains(opts.eqGains)
+        || hasTemporalCoefficients(opts);
+}
+
+// Stages that work on wavelet coefficients between the forward and inverse
+// transforms. coef is the 8-bit luma buffer (lo-fi) or a wide buffer.
+function coefficientStages(w, h, coef, opts) {
+    if (hasTemporalCoefficients(opts)) {
+        temporalCoefficients(w, h, opts.levels, coef, opts);
+    }
+    denoiseSubbands(w, h, opts.levels, coef, opts);
+    if (hasGains(opts.eqGains)) {
+        equalizeSubbands(w, h, opts.levels, coef, opts.eqGains);
+    }
+}
+
+// Run the forward wavelet transform and the coefficient stages, then return
+// the coefficient buffer. In lo-fi mode, the coefficients are stored in the
+// 8-bit luma buffer, which is lossy even without squash, but the artifacts are
+// part of the look. Otherwise, they go in a new wide (Int16 or Float32)
+// buffer, which allows exact reconstruction when squash is off.
+//
+// The hand-written lo-fi Haar and Linear transforms treat the signed
+// differences from their row pass as unsigned bytes in the column pass, so
+// their right side subbands don't hold signed coefficients. Pass
+// handWritten=false to use the lifting driver for those instead, which is what
+// anything that looks at the coefficients needs. lap is a stage timer (see
+// stats.js).
+function forwardStages(w, h, luma, opts, handWritten, lap) {
+    const family = FAMILIES[opts.transform];
+    const coef = (opts.precision == "lofi") ? luma
+        : coefficientsFrom(luma, opts.precision);
+    if (handWritten && opts.transform == "Haar") {
+        waveletFwdHaar(w, h, opts.levels, coef, opts);
+    } else if (handWritten && opts.transform == "Linear") {
+        waveletFwdLinear(w, h, opts.levels, coef, opts);
+    } else {
+        waveletFwd(w, h, opts.levels, coef, family, opts);
+    }
+    lap("forward");
+    if (hasCoefficientStages(opts)) {
+        coefficientStages(w, h, coef, opts);
+        lap("coefficients");
+    }
+    return coef;
+}
+
+// Run the inverse wavelet transform (undoes forwardStages), leaving the
+// result in luma
+function inverseStages(w, h, luma, coef, opts, handWritten) {
+    const family = FAMILIES[opts.transform];
+    if (handWritten && opts.transform == "Haar") {
+        waveletInvHaar(w, h, opts.levels, coef);
+    } else if (handWritten && opts.transform == "Linear") {
+        waveletInvLinear(w, h, opts.levels, coef);
+    } else {
+        waveletInv(w, h, opts.levels, coef, family);
+    }
+    if (coef !== luma) {
+        coefficientsToLuma(w, h, 0, coef, luma);
+    }
+}
+
+// Run the auto-contrast stage selected by opts.contrast on luma, then return
+// the luma levels it picked as an object of name: level (in the levels of
+// luma before the stage). "Otsu" doesn't change luma, but picks the 1-bit
+// threshold level (pixels at or below it are dark).
+function contrastStage(w, h, luma, opts) {
+    switch(opts.contrast) {
+    case "Histogram":
+        // Luma gets shifted to put center at 127
+        return {center: 127 - autoContrastHistogram(w, h, luma)};
+    case "Percentile":
+        return percentileStretch(luma, opts.contrastLow, opts.contrastHigh);
+    case "Equalize":
+        equalizeHistogram(luma);
+        return {};
+    case "CLAHE":
+        clahe(luma, w, h, opts.claheTiles, opts.claheClip);
+        return {};
+    case "Otsu":
+        return {threshold: otsuThreshold(luma)};
+    default:
+        return {};
+    }
+}
+
+// Run the forward wavelet transform and coefficient stages on a copy of luma,
+// then render the coefficients into rgba for the "show coefficients" view.
+// See renderCoefficients for the coefView, coefScale, and coefGrid options.
+// lap is an optional stage timer from stageTimer() in stats.js.
+export function visualizeCoefficients(luma, w, h, options, rgba, lap = noLap) {
+    const opts = resolveOptions(options);
+    opts.levels = Math.min(opts.levels, maxLevels(w, h));
+    const copy = scratch("vizLuma", Uint8Array, luma.length);
+    copy.set(luma);
+    const coef = forwardStages(w, h, copy, opts, false, lap);
+    renderCoefficients(w, h, opts.levels, coef, rgba, opts);
+    lap("view");
+}
+
+// Run the whole filter chain in-place on a w*h luma array, then return it.
+// options is a plain object with any of the keys from DEFAULT_OPTIONS. lap is
+// an optional stage timer from stageTimer() in stats.js. If report is an
+// object, it gets the histogram of luma going into the auto-contrast stage
+// (report.histogram) and the levels that stage picked (report.cutoffs).
+export function processFrame(luma, w, h, options, lap = noLap, report = null) {
+    const opts = resolveOptions(options);
+    // Cap the levels to what the frame size supports
+    opts.levels = Math.min(opts.levels, maxLevels(w, h));
+    if (opts.freezeStable && frozenFrame(luma, opts)) {
+        lap("temporal");
+        return luma;
+    }
+    if (opts.motionView) {
+        // Show motion instead of running the rest of the filter chain
+        motionView(luma, opts);
+        lap("temporal");
+        return luma;
+    }
+    if (opts.temporal != "None" && opts.temporalTarget == "Pixels") {
+        temporalPixels(luma, opts);
+        lap("temporal");
+    }
+    if (opts.transform != "None") {
+        const handWritten = opts.precision == "lofi"
+            && !hasCoefficientStages(opts);
+        const coef = forwardStages(w, h, luma, opts, handWritten, lap);
+        if (opts.invWave) {
+            inverseStages(w, h, luma, coef, opts, handWritten);
+        } else if (coef !== luma) {
+            coefficientsToLuma(w, h, opts.levels, coef, luma);
+        }
+        lap("inverse");
+    }
+    if (report) {
+        report.histogram = histogram(luma, report.histogram);
+    }
+    const cutoffs = contrastStage(w, h, luma, opts);
+    if (report) {
+        report.cutoffs = cutoffs;
+    }
+    if (opts.invLuma) {
+        invert(luma);
+    }
+    lap("contrast");
+    if (opts.onebit) {
+        // Otsu's dark class is <= threshold, which ends up on the light side
+        // of the 1-bit bias when luma is inverted
+        let bias = opts.onebitBias;
+        if (cutoffs.threshold !== undefined) {
+            bias = opts.invLuma ? 255 - cutoffs.threshold
+                : cutoffs.threshold + 1;
+        }
+        if (opts.dither == "None") {
+            onebit(luma, {onebitBias: bias});
+        } else {
+            dither(luma, w, h, opts.dither, bias);
+        }
+        lap("threshold");
+    }
+    if (opts.freezeStable) {
+        holdFrame(luma);
+    }
+    return luma;
+}
@@ -0,0 +1,197 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free animated GIF encoder for filtered luma frames. Greyscale frames
+// use a 256 level grey palette, so each luma value is its own palette index
+// and there's no colour quantizing to do. 1-bit frames use a 2 colour palette,
+// which makes the LZW codes shorter and the files a lot smaller. Frames get
+// compressed as they're added, so a recording only keeps the compressed
+// bytes.
+
+// LZW codes are at most 12 bits, so the code table holds 4096 entries
+const MAX_CODES = 4096;
+
+// Collects bytes in chunks and concatenates them at the end
+function byteSink() {
+    const chunks = [];
+    let length = 0;
+    return {
+        push(bytes) {
+            const chunk = Uint8Array.from(bytes);
+            chunks.push(chunk);
+            length += chunk.length;
+        },
+        concat() {
+            const out = new Uint8Array(length);
+            let pos = 0;
+            for (const chunk of chunks) {
+                out.set(chunk, pos);
+                pos += chunk.length;
+            }
+            return out;
+        },
+    };
+}
+
+// Return the bytes of an ASCII string
+function ascii(text) {
+    return Array.from(text, (c) => c.charCodeAt(0));
+}
+
+// Return the 16-bit little-endian bytes of n
+function le16(n) {
+    return [n & 0xff, (n >> 8) & 0xff];
+}
+
+// Return the LZW compressed image data for palette indexes (with the given
+// minimum code size), split into the length-prefixed sub-blocks of up to 255
+// bytes that GIF image data uses
+function lzwBlocks(indexes, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let block = [];
+    let bits = 0;
+    let nbits = 0;
+    // Pack codes least significant bit first
+    const emit = (code, size) => {
+        bits |= code << nbits;
+        nbits += size;
+        while (nbits >= 8) {
+            block.push(bits & 0xff);
+            bits >>>= 8;
+            nbits -= 8;
+            if (block.length == 255) {
+                out.push(255, ...block);
+                block = [];
+            }
+        }
+    };
+    // String table keyed by (prefix code * 256) + next index
+    const table = new Map();
+    let nextCode = endCode + 1;
+    let codeSize = minCodeSize + 1;
+    emit(clearCode, codeSize);
+    let prefix = indexes[0];
+    for (let i=1; i<indexes.length; i++) {
+        const k = indexes[i];
+        const key = (prefix * 256) + k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix, codeSize);
+        if (nextCode == MAX_CODES) {
+            // Table is full, so start over
+            emit(clearCode, codeSize);
+            table.clear();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) {
+                codeSize++;
+            }
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix, codeSize);
+    emit(endCode, codeSize);
+    if (nbits > 0) {
+        emit(0, 8 - nbits);
+    }
+    if (block.length > 0) {
+        out.push(block.length, ...block);
+    }
+    out.push(0);
+    return out;
+}
+
+// Return an encoder for an animated GIF of w*h luma frames that loops
+// forever. With onebit, pixels darker than 128 are black and the rest white
+// (a 2 colour palette), otherwise the palette has 256 grey levels. Use
+// addFrame(luma, delay) to add a frame shown for delay ms (GIF delays are in
+// 10 ms steps), and finish() to get the file as a Uint8Array.
+export function createGIFEncoder(w, h, onebit) {
+    const out = byteSink();
+    const colors = onebit ? 2 : 256;
+    // Logical screen descriptor: global palette of 2^(n+1) colours
+    const sizeBits = onebit ? 0 : 7;
+    out.push(ascii("GIF89a"));
+    out.push([...le16(w), ...le16(h), 0xf0 | sizeBits, 0, 0]);
+    const palette = [];
+    for (let i=0; i<colors; i++) {
+        const grey = Math.round(i * 255 / (colors - 1));
+        palette.push(grey, grey, grey);
+    }
+    out.push(palette);
+    // NETSCAPE2.0 application extension: loop count 0 (forever)
+    out.push([0x21, 0xff, 0x0b, ...ascii("NETSCAPE2.0"), 0x03, 0x01, 0, 0, 0]);
+    const indexes = new Uint8Array(w * h);
+    return {
+        addFrame(luma, delay) {
+            for (let i=0; i<indexes.length; i++) {
+                indexes[i] = onebit ? ((luma[i] < 128) ? 0 : 1) : luma[i];
+            }
+            // Graphic control extension (frame delay), then the image
+            const centis = Math.max(2, Math.round(delay / 10));
+            out.push([0x21, 0xf9, 0x04, 0x00, ...le16(centis), 0x00, 0x00]);
+            out.push([0x2c, 0, 0, 0, 0, ...le16(w), ...le16(h), 0x00]);
+            const minCodeSize = onebit ? 2 : 8;
+            out.push([minCodeSize, ...lzwBlocks(indexes, minCodeSize)]);
+        },
+        finish() {
+            out.push([0x3b]);
+            return out.concat();
+        },
+    };
+}
+
+// Return a GIF recording of filtered frames ({luma, w, h}) as they come in,
+// keeping at most fps frames per second and stopping after maxSeconds. Each
+// frame's delay is the time until the next kept frame, so the playback speed
+// matches the live view even when frames get dropped. add(frame, now) returns
+// false once the recording is full. Frames of a different size than the
+// first one get skipped. finish() returns the GIF file as a Uint8Array, or
+// null if no frames were recorded.
+export function createGIFRecording(onebit, fps, maxSeconds) {
+    const interval = 1000 / fps;
+    let gif = null;
+    let size = null;
+    let held = null;    // last kept frame, waiting to find out its delay
+    let heldAt = 0;
+    let startAt = 0;
+    return {
+        add(frame, now) {
+            const {luma, w, h} = frame;
+            if (!gif) {
+                gif = createGIFEncoder(w, h, onebit);
+                size = [w, h];
+                startAt = now;
+            } else if (w != size[0] || h != size[1]) {
+                return true;
+            } else if (now - heldAt < interval * 0.9) {
+                return true;
+            }
+            // Stop before a frame that would play past the end
+            if (now - startAt + interval > maxSeconds * 1000) {
+                return false;
+            }
+            if (held) {
+                gif.addFrame(held, now - heldAt);
+            }
+            held = luma.slice(0, w * h);
+            heldAt = now;
+            return true;
+        },
+        finish() {
+            if (!gif) {
+                return null;
+            }
+            gif.addFrame(held, interval);
+            return gif.finish();
+        },
+    };
+}
@@ -0,0 +1,404 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Image file reading and writing for the command line tool (cli.js). This
+// decodes PGM/PPM/PBM and PNG files to RGBA pixels like a canvas would give
+// getImageData, and encodes PNG files. Unlike the other modules, this needs
+// Node (for zlib), so the web page doesn't load it.
+
+import { inflateSync, deflateSync } from 'node:zlib';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// CRC-32 lookup table for PNG chunks
+const CRC_TABLE = new Uint32Array(256);
+for (let n=0; n<256; n++) {
+    let c = n;
+    for (let k=0; k<8; k++) {
+        c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    CRC_TABLE[n] = c >>> 0;
+}
+
+// Return the CRC-32 of bytes
+function crc32(bytes) {
+    let c = 0xffffffff;
+    for (const b of bytes) {
+        c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// ---------------------------------------------------------------------------
+// PNM (PBM, PGM, PPM)
+
+// Return the header fields and data offset of a PNM file: {magic, fields,
+// offset}, where fields are the numbers after the magic number (width,
+// height, and maxval except for PBM)
+function pnmHeader(bytes, count) {
+    const magic = String.fromCharCode(bytes[0], bytes[1]);
+    const fields = [];
+    let pos = 2;
+    while (fields.length < count) {
+        const c = bytes[pos];
+        if (c === undefined) {
+            throw new Error("truncated PNM header");
+        }
+        if (c == 0x23) {
+            // Comment runs to the end of the line
+            while (pos < bytes.length && bytes[pos] != 0x0a) {
+                pos++;
+            }
+        } else if (c >= 0x30 && c <= 0x39) {
+            let n = 0;
+            while (bytes[pos] >= 0x30 && bytes[pos] <= 0x39) {
+                n = (n * 10) + bytes[pos] - 0x30;
+                pos++;
+            }
+            fields.push(n);
+            continue;
+        }
+        pos++;
+    }
+    // One whitespace byte separates the header from binary data
+    return {magic, fields, offset: pos + 1};
+}
+
+// Decode a PBM, PGM, or PPM file (binary or plain text) to {rgba, w, h}
+export function decodePNM(bytes) {
+    const magic = String.fromCharCode(bytes[0], bytes[1]);
+    const kind = "123456".indexOf(magic[1]) % 3;   // 0 PBM, 1 PGM, 2 PPM
+    if (magic[0] != "P" || kind < 0) {
+        throw new Error("not a PNM file");
+    }
+    const plain = magic[1] <= "3";
+    const {fields, offset} = pnmHeader(bytes, (kind == 0) ? 2 : 3);
+    const [w, h] = fields;
+    const maxval = (kind == 0) ? 1 : fields[2];
+    if (!(w > 0 && h > 0 && maxval > 0 && maxval < 65536)) {
+        throw new Error("bad PNM header");
+    }
+    const channels = (kind == 2) ? 3 : 1;
+    const count = w * h * channels;
+    const samples = new Uint16Array(count);
+    if (plain) {
+        // Whitespace separated numbers (PBM digits don't need the spaces)
+        const text = new TextDecoder().decode(bytes.subarray(offset - 1))
+            .replace(/#[^\n]*/g, "");
+        const tokens = (kind == 0) ? text.match(/[01]/g) : text.match(/\d+/g);
+        if (!tokens || tokens.length < count) {
+            throw new Error("truncated PNM data");
+        }
+        for (let i=0; i<count; i++) {
+            samples[i] = Number(tokens[i]);
+        }
+    } else if (kind == 0) {
+        // Packed bits, rows padded to whole bytes
+        const rowBytes = (w + 7) >> 3;
+        if (bytes.length < offset + (rowBytes * h)) {
+            throw new Error("truncated PNM data");
+        }
+        for (let y=0; y<h; y++) {
+            for (let x=0; x<w; x++) {
+                const b = bytes[offset + (y * rowBytes) + (x >> 3)];
+                samples[(y*w)+x] = (b >> (7 - (x & 7))) & 1;
+            }
+        }
+    } else {
+        const wide = maxval > 255;
+        if (bytes.length < offset + (count * (wide ? 2 : 1))) {
+            throw new Error("truncated PNM data");
+        }
+        for (let i=0; i<count; i++) {
+            samples[i] = wide
+                ? (bytes[offset + (2 * i)] << 8) | bytes[offset + (2 * i) + 1]
+                : bytes[offset + i];
+        }
+    }
+    const rgba = new Uint8ClampedArray(w * h * 4);
+    for (let i=0; i<w*h; i++) {
+        for (let c=0; c<3; c++) {
+            const v = samples[(i * channels) + ((channels == 3) ? c : 0)];
+            // PBM 1 bits are black
+            rgba[(i*4)+c] = (kind == 0) ? (v ? 0 : 255)
+                : Math.round(Math.min(v, maxval) * 255 / maxval);
+        }
+        rgba[(i*4)+3] = 255;
+    }
+    return {rgba, w, h};
+}
+
+// ---------------------------------------------------------------------------
+// PNG
+
+// Return the PNG chunks of bytes as a list of {type, data}
+function pngChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const chunks = [];
+    let pos = 8;
+    while (pos + 8 <= bytes.length) {
+        const length = view.getUint32(pos);
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+        const data = bytes.subarray(pos + 8, pos + 8 + length);
+        if (data.length < length) {
+            throw new Error("truncated PNG chunk");
+        }
+        chunks.push({type, data});
+        if (type == "IEND") {
+            break;
+        }
+        pos += 12 + length;
+    }
+    return chunks;
+}
+
+// Return the Paeth predictor of a (left), b (up), and c (up left)
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) {
+        return a;
+    }
+    return (pb <= pc) ? b : c;
+}
+
+// Undo the PNG row filters of raw image data in-place. Returns the
+// unfiltered rows (without their filter type bytes) as one Uint8Array.
+function unfilter(raw, rowBytes, rows, bpp) {
+    const out = new Uint8Array(rowBytes * rows);
+    for (let y=0; y<rows; y++) {
+        const type = raw[y * (rowBytes + 1)];
+        const src = raw.subarray((y * (rowBytes + 1)) + 1,
+            (y + 1) * (rowBytes + 1));
+        const row = out.subarray(y * rowBytes, (y + 1) * rowBytes);
+        const prev = (y > 0) ? out.subarray((y - 1) * rowBytes, y * rowBytes)
+            : null;
+        for (let i=0; i<rowBytes; i++) {
+            const a = (i >= bpp) ? row[i - bpp] : 0;
+            const b = prev ? prev[i] : 0;
+            const c = (prev && i >= bpp) ? prev[i - bpp] : 0;
+            switch(type) {
+            case 0: row[i] = src[i]; break;
+            case 1: row[i] = src[i] + a; break;
+            case 2: row[i] = src[i] + b; break;
+            case 3: row[i] = src[i] + ((a + b) >> 1); break;
+            case 4: row[i] = src[i] + paeth(a, b, c); break;
+            default: throw new Error(`bad PNG filter type ${type}`);
+            }
+        }
+    }
+    return out;
+}
+
+// Decode a PNG file (any bit depth and colour type, but not interlaced) to
+// {rgba, w, h}. Transparent pixels come out as transparent black, like
+// drawing the image on a cleared canvas would give.
+export function decodePNG(bytes) {
+    if (!PNG_SIGNATURE.every((b, i) => bytes[i] == b)) {
+        throw new Error("not a PNG file");
+    }
+    const chunks = pngChunks(bytes);
+    const ihdr = chunks.find((c) => c.type == "IHDR");
+    if (!ihdr) {
+        throw new Error("PNG has no IHDR chunk");
+    }
+    const head = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, 13);
+    const w = head.getUint32(0);
+    const h = head.getUint32(4);
+    const depth = ihdr.data[8];
+    const colorType = ihdr.data[9];
+    if (ihdr.data[12] != 0) {
+        throw new Error("interlaced PNG files are not supported");
+    }
+    const channels = {0: 1, 2: 3, 3: 1, 4: 2, 6: 4}[colorType];
+    if (!channels) {
+        throw new Error(`bad PNG colour type ${colorType}`);
+    }
+    const plte = chunks.find((c) => c.type == "PLTE");
+    const trns = chunks.find((c) => c.type == "tRNS");
+    const idat = Buffer.concat(chunks.filter((c) => c.type == "IDAT")
+        .map((c) => c.data));
+    const bitsPerPixel = channels * depth;
+    const rowBytes = Math.ceil(w * bitsPerPixel / 8);
+    const data = unfilter(inflateSync(idat), rowBytes, h,
+        Math.max(1, bitsPerPixel >> 3));
+    const max = (1 << depth) - 1;
+    // Return sample n (0..max) of row y
+    const sample = (y, n) => {
+        const base = y * rowBytes;
+        if (depth == 16) {
+            return (data[base + (2 * n)] << 8) | data[base + (2 * n) + 1];
+        }
+        if (depth == 8) {
+            return data[base + n];
+        }
+        const bit = n * depth;
+        return (data[base + (bit >> 3)] >> (8 - depth - (bit & 7))) & max;
+    };
+    // Single transparent colour for greyscale and RGB (tRNS samples)
+    const key = (trns && (colorType == 0 || colorType == 2))
+        ? Array.from({length: channels}, (_, i) =>
+            (trns.data[2 * i] << 8) | trns.data[(2 * i) + 1])
+        : null;
+    const rgba = new Uint8ClampedArray(w * h * 4);
+    const px = [0, 0, 0, 0];
+    for (let y=0; y<h; y++) {
+        for (let x=0; x<w; x++) {
+            const s = Array.from({length: channels},
+                (_, c) => sample(y, (x * channels) + c));
+            const scale = (v) => Math.round(v * 255 / max);
+            switch(colorType) {
+            case 0:
+                px[0] = px[1] = px[2] = scale(s[0]);
+                px[3] = (key && s[0] == key[0]) ? 0 : 255;
+                break;
+            case 2:
+                px[0] = scale(s[0]);
+                px[1] = scale(s[1]);
+                px[2] = scale(s[2]);
+                px[3] = (key && s.every((v, i) => v == key[i])) ? 0 : 255;
+                break;
+            case 3:
+                if (!plte || (s[0] * 3) + 2 >= plte.data.length) {
+                    throw new Error("bad PNG palette index");
+                }
+                px[0] = plte.data[s[0] * 3];
+                px[1] = plte.data[(s[0] * 3) + 1];
+                px[2] = plte.data[(s[0] * 3) + 2];
+                px[3] = (trns && s[0] < trns.data.length)
+                    ? trns.data[s[0]] : 255;
+                break;
+            case 4:
+                px[0] = px[1] = px[2] = scale(s[0]);
+                px[3] = scale(s[1]);
+                break;
+            default:
+                px[0] = scale(s[0]);
+                px[1] = scale(s[1]);
+                px[2] = scale(s[2]);
+                px[3] = scale(s[3]);
+            }
+            const i = ((y * w) + x) * 4;
+            if (px[3] == 0) {
+                px[0] = px[1] = px[2] = 0;
+            }
+            rgba.set(px, i);
+        }
+    }
+    return {rgba, w, h};
+}
+
+// Return a PNG chunk of the given type with data
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i=0; i<4; i++) {
+        chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+// Return RGBA pixels as a PNG file. Opaque grey images get written as 8-bit
+// greyscale, and black and white ones as 1-bit greyscale, which makes the
+// files a lot smaller than RGB without changing any pixel values.
+export function encodePNG(rgba, w, h) {
+    let grey = true;
+    let bilevel = true;
+    for (let i=0; i<rgba.length; i+=4) {
+        const v = rgba[i];
+        if (v != rgba[i+1] || v != rgba[i+2] || rgba[i+3] != 255) {
+            grey = false;
+            bilevel = false;
+            break;
+        }
+        bilevel = bilevel && (v == 0 || v == 255);
+    }
+    const depth = bilevel ? 1 : 8;
+    const colorType = grey ? 0 : 6;
+    const channels = grey ? 1 : 4;
+    const rowBytes = Math.ceil(w * channels * depth / 8);
+    // Filter type 0 (none) for every row
+    const raw = new Uint8Array((rowBytes + 1) * h);
+    for (let y=0; y<h; y++) {
+        const row = raw.subarray((y * (rowBytes + 1)) + 1);
+        for (let x=0; x<w; x++) {
+            const i = ((y * w) + x) * 4;
+            if (bilevel) {
+                row[x >> 3] |= (rgba[i] ? 0x80 : 0) >> (x & 7);
+            } else if (grey) {
+                row[x] = rgba[i];
+            } else {
+                row.set(rgba.subarray(i, i + 4), x * 4);
+            }
+        }
+    }
+    const ihdr = new Uint8Array(13);
+    const view = new DataView(ihdr.buffer);
+    view.setUint32(0, w);
+    view.setUint32(4, h);
+    ihdr.set([depth, colorType, 0, 0, 0], 8);
+    const parts = [
+        Uint8Array.from(PNG_SIGNATURE),
+        pngChunk("IHDR", ihdr),
+        pngChunk("IDAT", deflateSync(raw)),
+        pngChunk("IEND", new Uint8Array(0)),
+    ];
+    return Buffer.concat(parts);
+}
+
+// Decode a PNG or PNM file to {rgba, w, h}, going by its first bytes
+export function decodeImage(bytes) {
+    if (bytes[0] == 0x89) {
+        return decodePNG(bytes);
+    }
+    if (bytes[0] == 0x50) {
+        return decodePNM(bytes);
+    }
+    throw new Error("not a PNG, PGM, PPM, or PBM file");
+}
+
+// ---------------------------------------------------------------------------
+// Scaling
+
+// Return the largest center crop of a srcW*srcH image with the aspect ratio
+// of w*h, scaled to w*h with bilinear interpolation, as RGBA pixels. This
+// matches the crop main.js uses for image files, but the browser's scaling
+// filter isn't specified, so scaled pixels won't match it exactly.
+export function cropAndScale(rgba, srcW, srcH, w, h) {
+    const scale = Math.max(w / srcW, h / srcH);
+    const cropW = Math.min(srcW, Math.round(w / scale));
+    const cropH = Math.min(srcH, Math.round(h / scale));
+    const x0 = (srcW - cropW) >> 1;
+    const y0 = (srcH - cropH) >> 1;
+    const out = new Uint8ClampedArray(w * h * 4);
+    for (let y=0; y<h; y++) {
+        const fy = Math.max(0, Math.min(cropH - 1,
+            ((y + 0.5) * cropH / h) - 0.5));
+        const ya = Math.floor(fy);
+        const yb = Math.min(ya + 1, cropH - 1);
+        const dy = fy - ya;
+        for (let x=0; x<w; x++) {
+            const fx = Math.max(0, Math.min(cropW - 1,
+                ((x + 0.5) * cropW / w) - 0.5));
+            const xa = Math.floor(fx);
+            const xb = Math.min(xa + 1, cropW - 1);
+            const dx = fx - xa;
+            const a = (((y0 + ya) * srcW) + x0 + xa) * 4;
+            const b = (((y0 + ya) * srcW) + x0 + xb) * 4;
+            const c = (((y0 + yb) * srcW) + x0 + xa) * 4;
+            const d = (((y0 + yb) * srcW) + x0 + xb) * 4;
+            for (let k=0; k<4; k++) {
+                const top = rgba[a+k] + ((rgba[b+k] - rgba[a+k]) * dx);
+                const bottom = rgba[c+k] + ((rgba[d+k] - rgba[c+k]) * dx);
+                out[(((y * w) + x) * 4) + k] = top + ((bottom - top) * dy);
+            }
+        }
+    }
+    return out;
+}
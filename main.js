@@ -2,12 +2,69 @@
 /* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
 "use strict";
 
+import { renderFrame as renderToCanvas } from './render.js';
+import { maxLevels } from './wavelets.js';
+import { drawHistogram } from './contrast.js';
+import { resetTemporal } from './temporal.js';
+import {
+    videoConstraints, trackAdjustments, adjustmentConstraints,
+} from './camera.js';
+import {
+    createStats, countFrames, addTimings, formatStats,
+} from './stats.js';
+import {
+    throttledDetector, createDetectStats, countDetections,
+    formatDetectStats, drawCodes,
+} from './detect.js';
+import { createGIFRecording } from './gif.js';
+import {
+    DEFAULT_SETTINGS, BUILTIN_PRESETS, cleanSettings, cleanPresets,
+    changedSettings, settingsToHash, settingsFromHash, exportSettings,
+    importSettings,
+} from './settings.js';
+import {
+    encodePGM, encodePBM, encodeEscPosRaster, encodeCHeader,
+} from './encode.js';
+
 const STATUS = document.querySelector('#status');   // Status span
 const CAM_BTN = document.querySelector('#camera');  // Camera button
 const VIDEO = document.querySelector('#video');     // Video player
+const CAM_DEVICE = document.querySelector('#cameraDevice');  // Camera select
+const CAM_FACING = document.querySelector('#cameraFacing');  // Front/back
+const CAM_RES = document.querySelector('#cameraRes');  // Camera resolution
+const CAM_FPS = document.querySelector('#cameraFps');  // Camera frame rate
+const CAM_ADJUST = document.querySelector('#cameraAdjust');  // Adjust panel
+const CAM_ADJUSTERS = document.querySelectorAll('.camAdjust');  // Adjusters
+const AUTO_FOCUS = document.querySelector('#autoFocus');  // Auto focus box
 const CANVAS = document.querySelector('#canvas');   // Canvas (filter output)
+const FILE = document.querySelector('#file');       // File picker
+const PLAY_BTN = document.querySelector('#playPause');  // Video file play/pause
+const STEP_BACK = document.querySelector('#stepBack');  // Step back 1 frame
+const STEP_FWD = document.querySelector('#stepFwd');    // Step forward 1 frame
+const DROP = document.querySelector('main');        // Drag and drop target
+const SAVE_BTN = document.querySelector('#save');   // Save frame button
+const SAVE_FMT = document.querySelector('#saveFormat');  // Save file format
+const RECORD_BTN = document.querySelector('#record');  // Record/stop button
+const RECORD_FMT = document.querySelector('#recordFormat');  // WebM or GIF
+const RECORD_FPS = document.querySelector('#recordFps');  // Recording fps
+const RECORD_MAX = document.querySelector('#recordMax');  // Max seconds
+const PRESET = document.querySelector('#preset');   // Preset select
+const PRESET_NAME = document.querySelector('#presetName');  // New preset name
+const PRESET_SAVE = document.querySelector('#presetSave');  // Save preset
+const PRESET_DEL = document.querySelector('#presetDelete');  // Delete preset
+const SETTINGS_EXPORT = document.querySelector('#settingsExport');  // Export
+const SETTINGS_IMPORT = document.querySelector('#settingsImport');  // Import
+const SETTINGS_FILE = document.querySelector('#settingsFile');  // Import file
+const SHOW_STATS = document.querySelector('#showStats');  // Stats checkbox
+const STATS_BOX = document.querySelector('#stats');   // Stats overlay
+const DETECT = document.querySelector('#detect');   // Code detection checkbox
+const OVERLAY = document.querySelector('#overlay');  // Detected code outlines
+const CODES_BOX = document.querySelector('#codes');  // Detection results panel
+const CODE_LIST = document.querySelector('#codeList');  // Decoded codes list
+const DETECT_STATS = document.querySelector('#detectStats');  // Counts
 
-const CTX = CANVAS.getContext("2d", {willReadFrequently: true});
+// Output frame size select
+const SIZE = document.querySelector('#size');
 
 // Wavelet Transform Controls
 const LEVELS = document.querySelector('#levels');     // How many levels?
@@ -15,438 +72,853 @@ const TRANSFORM = document.querySelector('#transform');  // Haar, linear, etc
 const SQUASH = document.querySelector('#squash');     // Squash average checkbox
 const SQBIAS = document.querySelector('#sqbias');     // Avg squashing luma bias
 const INV_WAVE = document.querySelector('#invWave');  // Inv. wavelet checkbox
+const PRECISION = document.querySelector('#precision');  // Coefficient storage
+const DENOISE = document.querySelector('#denoise');   // Denoise select
+const DN_AUTO = document.querySelector('#denoiseAuto');  // Denoise thresholds
+const DN_THRESH = document.querySelectorAll('.dnThresh');  // Level thresholds
+const EQ_GAINS = document.querySelectorAll('.eqGain');  // Equalizer sliders
+const EQ_RESET = document.querySelector('#eqReset');  // Equalizer reset button
+const COEF_VIEW = document.querySelector('#coefView');  // Coefficient view
+const COEF_SCALE = document.querySelector('#coefScale');  // Coef. view scaling
+const COEF_GRID = document.querySelector('#coefGrid');  // Subband boundaries
 const ONEBIT = document.querySelector('#onebit');     // 1-bit checkbox
 const ONEBITBIAS = document.querySelector('#onebitbias');  // 1-bit bias level
 const INV_LUMA = document.querySelector('#invLuma');  // Inv. luma checkbox
 const CONTRAST = document.querySelector('#contrast');  // Auto-contrast select
+const CT_LOW = document.querySelector('#contrastLow');  // Low percentile
+const CT_HIGH = document.querySelector('#contrastHigh');  // High percentile
+const CLAHE_TILES = document.querySelector('#claheTiles');  // CLAHE grid size
+const CLAHE_CLIP = document.querySelector('#claheClip');  // CLAHE clip limit
+const SHOW_HIST = document.querySelector('#showHistogram');  // Histogram box
+const HISTOGRAM = document.querySelector('#histogram');  // Histogram canvas
+const DITHER = document.querySelector('#dither');     // 1-bit dither select
+const COLOR_MODE = document.querySelector('#colorMode');  // Colour mode select
+const TEMPORAL = document.querySelector('#temporal');  // Frame averaging
+const TP_TARGET = document.querySelector('#temporalTarget');  // Pixels/coefs
+const TP_STRENGTH = document.querySelector('#temporalStrength');  // Strength
+const MOTION = document.querySelector('#motionView');  // Motion view checkbox
+const FREEZE = document.querySelector('#freezeStable');  // Freeze checkbox
+
+// Controls for the settings that have one control each (see readSettings)
+const SETTING_CONTROLS = {
+    levels: LEVELS, transform: TRANSFORM, squash: SQUASH, sqbias: SQBIAS,
+    invWave: INV_WAVE, precision: PRECISION, denoise: DENOISE,
+    denoiseAuto: DN_AUTO, coefView: COEF_VIEW, coefScale: COEF_SCALE,
+    coefGrid: COEF_GRID, contrast: CONTRAST, contrastLow: CT_LOW,
+    contrastHigh: CT_HIGH, claheTiles: CLAHE_TILES, claheClip: CLAHE_CLIP,
+    invLuma: INV_LUMA, onebit: ONEBIT, onebitBias: ONEBITBIAS, dither: DITHER,
+    colorMode: COLOR_MODE, temporal: TEMPORAL, temporalTarget: TP_TARGET,
+    temporalStrength: TP_STRENGTH, motionView: MOTION, freezeStable: FREEZE,
+    size: SIZE, showHistogram: SHOW_HIST, showStats: SHOW_STATS,
+    detect: DETECT, saveFormat: SAVE_FMT, recordFormat: RECORD_FMT,
+    recordFps: RECORD_FPS, recordMax: RECORD_MAX,
+};
+
+// Frame filtering controls (changing these re-renders still frames)
+const CONTROLS = [SIZE, LEVELS, TRANSFORM, SQUASH, SQBIAS, INV_WAVE, PRECISION,
+    DENOISE, DN_AUTO, ...DN_THRESH, ...EQ_GAINS, ONEBIT, ONEBITBIAS, INV_LUMA,
+    CONTRAST, CT_LOW, CT_HIGH, CLAHE_TILES, CLAHE_CLIP, DITHER, COEF_VIEW,
+    COEF_SCALE, COEF_GRID, COLOR_MODE, TEMPORAL, TP_TARGET, TP_STRENGTH,
+    MOTION, FREEZE];
 
 // Detect if HTMLVideoElement.requestVideoFrameCallback can be used to sync
 // frame filtering with the frame updates of the video preview element
 const HAS_RVFC = "requestVideoFrameCallback" in HTMLVideoElement.prototype;
 
+// Frame scheduler: video frame callbacks when available, otherwise poll for
+// new frames with animation frame callbacks or, failing that, a timer
+const SCHEDULER = HAS_RVFC ? "rVFC"
+    : (("requestAnimationFrame" in window) ? "rAF" : "timer");
+
+// Polling interval for the timer scheduler (ms)
+const TIMER_MS = 1000 / 30;
+
+// Minimum time between updates of the stats overlay text (ms)
+const STATS_INTERVAL = 250;
+
+// localStorage keys for remembering the selected camera, the settings, and
+// the saved presets
+const DEVICE_KEY = "webwavecam.cameraDevice";
+const SETTINGS_KEY = "webwavecam.settings";
+const PRESETS_KEY = "webwavecam.presets";
+
+// File types accepted by the file picker and drag and drop
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp"];
+
+// Frame step size for video files (media elements don't expose frame rate)
+const FRAME_STEP = 1 / 30;
+
+// Most decoded codes to keep in the results list
+const MAX_CODES = 10;
+
+// MediaRecorder types to try for video recording, best first
+const VIDEO_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8",
+    "video/webm"];
+
 // Camera video stream
 var STREAM = null;
 
+// Camera facing mode for the default camera: "environment" (back) or "user"
+var FACING = "environment";
+
+// Still image (HTMLImageElement) when the frame source is an image file
+var STILL = null;
+
+// Object URL for the currently loaded image or video file
+var FILE_URL = null;
+
+// Handle for the pending frame callback or timer (so it can be cancelled)
+var FRAME_HANDLE = null;
+
+// Frame counter (or time) of the last video frame seen by the scheduler, to
+// detect new frames and count the ones that went by unseen
+var LAST_VIDEO_FRAME = null;
+
+// Frame rate, dropped frame, and stage timing stats for the overlay
+var STATS = createStats();
+var STATS_SHOWN_AT = 0;
+
+// Code detection (main thread fallback), decode success counts, and the
+// decoded values in the results list (newest first)
+const DETECTOR = throttledDetector();
+var DETECT_COUNTS = createDetectStats();
+var CODES = [];
+
+// Most recent filtered frame: {luma, w, h, onebit} (main thread fallback)
+var LAST_FRAME = null;
+
+// Recording in progress as {stop} (stop function), or null, and the timer
+// that stops it at the maximum length. GIF recordings without a worker keep
+// their encoder in GIF_RECORDING.
+var RECORDING = null;
+var RECORD_TIMER = null;
+var GIF_RECORDING = null;
+
+// Worker state: a frame is being processed, a frame was dropped while busy,
+// and the {resolve, reject} functions of a pending save request
+var WORKER_BUSY = false;
+var FRAME_PENDING = false;
+var SAVE_REQUEST = null;
+
+// Return true if this browser can run module workers
+function hasModuleWorkers() {
+    if (typeof Worker === "undefined") {
+        return false;
+    }
+    let supported = false;
+    const tester = {
+        get type() {
+            supported = true;
+            return "module";
+        },
+    };
+    try {
+        new Worker("data:,", tester).terminate();
+    } catch (err) {
+        // ignore, supported stays as it was
+    }
+    return supported;
+}
+
+// Start the frame processing worker and hand it the output canvas, or return
+// null if the browser lacks OffscreenCanvas or module workers (then frames get
+// processed on the main thread)
+function startWorker() {
+    if (!("transferControlToOffscreen" in CANVAS) || !hasModuleWorkers()) {
+        return null;
+    }
+    try {
+        const worker = new Worker("worker.js", {type: "module"});
+        const offscreen = CANVAS.transferControlToOffscreen();
+        worker.postMessage({type: "init", canvas: offscreen}, [offscreen]);
+        worker.onmessage = handleWorkerMessage;
+        return worker;
+    } catch (err) {
+        console.log("worker failed, using main thread", err);
+        return null;
+    }
+}
+
+// Frame processing worker (or null), and the canvas 2D context for main
+// thread processing when there's no worker. Once a canvas is transferred to
+// a worker, it can't have a context here.
+const WORKER = startWorker();
+const CTX = WORKER ? null
+    : CANVAS.getContext("2d", {willReadFrequently: true});
+
 // Update status line span
 function setStatus(s) {
     STATUS.textContent = s;
 }
 
-// Return an array of 32-bit RGBA input converted to 8-bit Rec. 601 luma
-function lumaFrom(rgba) {
-    // Convert a 4-byte RGBA pixel to 1-byte approximate Rec. 601 luma (Y')
-    // see: https://en.wikipedia.org/wiki/Luma_(video)
-    //   Y'[601] = 0.299*R' + 0.587*G' + 0.114*B'
-    // The official formula uses floating point coefficients, but the image
-    // data is 8-bit unsigned integers. Since an approximation is fine here,
-    // we can normalize the coefficients to 1*B' and round them to integers:
-    //   Y' = (3*R' + 5*G' + 1*B') / 9
-    // The sum of coefficients is 3 + 5 + 1 = 9, which is annoying. If the sum
-    // was 8, we could use a shift (>>3). Approximating 5*G' as 4*G', gives:
-    //   Y' = (3*R' + 4*G' + B') >> 3
-    const luma = new Uint8Array(rgba.length >> 2);
-    for (let i=0; i < rgba.length - 4; i += 4) {
-        luma[i>>2] = ((3 * rgba[i]) + (4 * rgba[i+1]) + rgba[i+2]) >> 3;
-    }
-    return luma;
-}
-
-// Exapand pixel values from the luma array into the RGBA array as grayscale
-function expandIntoRGBA(luma, rgba) {
-    // luma is Uint8ClampedArray using 1 byte per pixel
-    // rgba is Uing8ClampedArray using 4 bytes per pixel
-    let i = 0;
-    for (const Y of luma) {
-        rgba[i] = Y;
-        rgba[i+1] = Y;
-        rgba[i+2] = Y;
-        rgba[i+3] = 255;
-        i += 4;
-    }
-}
-
-// Invert brightness values of luma array (should be a Unint8ClampedArray)
-function invert(luma) {
-    let i = 0;
-    for (const Y of luma) {
-        luma[i] = 255 - Y;
-        i++;
-    }
-}
-
-function onebit(luma) {
-    let i = 0;
-    const bias = Number(ONEBITBIAS.value);
-    for (const Y of luma) {
-        luma[i] = (Y < bias) ? 0 : 255;
-        i++;
-    }
-}
-
-// Forward linear lifting scheme wavelet transform
-function waveletFwdLinear(w, h, levels, luma) {
-    /* Do a lifting scheme in-place linear wavelet transform See "Building Your
-    *  Own Wavelets at Home" course notes by Wim Sweldens and Peter Schröder,
-    *  Section 1.5 The Linear Wavelet Transform.
-    *
-    *  cols and rows define the pixel buffer subregion that the current level
-    *  of the wavelet transform operates on. Level 1 does the whole pixel
-    *  buffer, level 2 does only the top left quadrant, and so on.
-    */
-    const squash = SQUASH.checked;
-    const sqbias = Number(SQBIAS.value);
-    let rowBuf = new Uint8Array(w);
-    let colBuf = new Uint8Array(h);
-    for (let level=1; level<=levels; level++) {
-        const cols = w >> (level-1);
-        const rows = h >> (level-1);
-        // Calculate horizontal average and difference signals
-        for (let y=0; y<rows; y+=1) {
-            const rowBase = y * w;
-            // Replace odd samples with diff signal = sample - prediction
-            for (let x=0; x<cols; x+=2) {
-                const even1 = rowBase + x;
-                const odd   = rowBase + x + 1;
-                const even2 = rowBase + x + ((x+2<cols) ? 2 : 0);
-                const prediction = (luma[even1] + luma[even2]) >> 1;
-                let diff = (luma[odd] - prediction) >> 1;      // store at 0.5x
-                diff = (diff < -128) ? -128 : ((diff > 127) ? 127 : diff);
-                luma[odd] = diff & 0xff;
-            }
-            // De-interleave the even and odd signals
-            for (let x=0; x<cols; x+=2) {
-                rowBuf[x>>1]        = luma[rowBase+x];
-                rowBuf[(cols+x)>>1] = luma[rowBase+x+1];
-            }
-            for (let x=0; x<cols; x++) {
-                luma[rowBase+x] = rowBuf[x];
-            }
-        }
-        // Calculate vertical average and difference signals
-        for (let x=0; x<cols; x+=1) {
-            // Replace odd samples with diff signal = sample - prediction
-            for (let y=0; y<rows; y+=2) {
-                const even1 = (y * w) + x;
-                const odd   = even1 + w;
-                const even2 = (y+2<rows) ? (odd + w) : even1;
-                const prediction = (luma[even1] + luma[even2]) >> 1;
-                let diff = (luma[odd] - prediction) >> 1;      // store at 0.5x
-                diff = (diff < -128) ? -128 : ((diff > 127) ? 127 : diff);
-                luma[odd] = diff & 0xff;
-            }
-            // De-interleave the even and odd signals
-            for (let y=0; y<rows; y+=2) {
-                let avg = luma[(y*w)+x];
-                if (squash && level==levels && (x<(cols>>1))) {
-                    avg = sqbias;
-                }
-                colBuf[y>>1]        = avg;
-                colBuf[(rows+y)>>1] = luma[((y+1)*w)+x];
-            }
-            for (let y=0; y<rows; y++) {
-                luma[(y*w)+x] = colBuf[y];
-            }
-        }
+// Return equalizer gains as an array of [H, V, D] triples for levels 1..6
+function readGains() {
+    const gains = [];
+    for (const e of EQ_GAINS) {
+        const level = Number(e.dataset.level);
+        const orient = "HVD".indexOf(e.dataset.orient);
+        gains[level-1] = gains[level-1] || [1, 1, 1];
+        gains[level-1][orient] = Number(e.value);
     }
+    return gains;
 }
 
-// Inverse linear lifting scheme wavelet transform
-function waveletInvLinear(w, h, levels, luma) {
-    let rowBuf = new Uint8Array(w);
-    let colBuf = new Uint8Array(h);
-    for (let level=levels; level>0; level--) {
-        const cols = w >> (level-1);
-        const rows = h >> (level-1);
-        // Invert vertical transform
-        for (let x=0; x<cols; x+=1) {
-            // Restore interleaving of even and odd signals
-            for (let y=0; y<rows; y++) {
-                colBuf[y] = luma[(y*w)+x];
-            }
-            for (let y=0; y<rows; y+=2) {
-                luma[(y*w)+x]     = colBuf[y>>1];
-                luma[((y+1)*w)+x] = colBuf[(rows+y)>>1];
-            }
-            // Restore odd samples by inverting diff against prediction
-            for (let y=0; y<rows; y+=2) {
-                const even1 = (y * w) + x;
-                const odd   = even1 + w;
-                const even2 = (y+2<rows) ? (odd + w) : even1;
-                const prediction = (luma[even1] + luma[even2]) >> 1;
-                let diff = luma[odd] << 24 >> 23;  // extend sign, expand to 1x!
-                diff += prediction;
-                diff = (diff < 0) ? 0 : ((diff > 255) ? 255 : diff);
-                luma[odd] = diff & 0xff;
-            }
+// Return a filter chain options object built from the current control values
+function readOptions() {
+    return {
+        levels: Number(LEVELS.value),
+        transform: TRANSFORM.value,
+        squash: SQUASH.checked,
+        sqbias: Number(SQBIAS.value),
+        invWave: INV_WAVE.checked,
+        precision: PRECISION.value,
+        denoise: DENOISE.value,
+        denoiseAuto: DN_AUTO.value,
+        denoiseThresholds: Array.from(DN_THRESH, (e) => Number(e.value)),
+        eqGains: readGains(),
+        coefView: COEF_VIEW.value,
+        coefScale: COEF_SCALE.value,
+        coefGrid: COEF_GRID.checked,
+        contrast: CONTRAST.value,
+        contrastLow: Number(CT_LOW.value),
+        contrastHigh: Number(CT_HIGH.value),
+        claheTiles: Number(CLAHE_TILES.value),
+        claheClip: Number(CLAHE_CLIP.value),
+        invLuma: INV_LUMA.checked,
+        onebit: ONEBIT.checked,
+        onebitBias: Number(ONEBITBIAS.value),
+        dither: DITHER.value,
+        colorMode: COLOR_MODE.value,
+        temporal: TEMPORAL.value,
+        temporalTarget: TP_TARGET.value,
+        temporalStrength: Number(TP_STRENGTH.value),
+        motionView: MOTION.checked,
+        freezeStable: FREEZE.checked,
+    };
+}
+
+// Return all the saved settings (see DEFAULT_SETTINGS) from the controls
+function readSettings() {
+    return {
+        ...readOptions(),
+        size: SIZE.value,
+        showHistogram: SHOW_HIST.checked,
+        showStats: SHOW_STATS.checked,
+        detect: DETECT.checked,
+        saveFormat: SAVE_FMT.value,
+        recordFormat: RECORD_FMT.value,
+        recordFps: Number(RECORD_FPS.value),
+        recordMax: Number(RECORD_MAX.value),
+    };
+}
+
+// Set the controls to settings, with defaults for any that are missing (or
+// that a select doesn't have an option for)
+function applySettings(settings) {
+    const s = {...DEFAULT_SETTINGS, ...settings};
+    for (const [key, e] of Object.entries(SETTING_CONTROLS)) {
+        if (e.type == "checkbox") {
+            e.checked = s[key];
+            continue;
         }
-        // Invert horizontal transform
-        for (let y=0; y<rows; y+=1) {
-            const rowBase = y * w;
-            // Restore interleaving of even and odd signals
-            for (let x=0; x<cols; x++) {
-                rowBuf[x] = luma[rowBase+x];
-            }
-            for (let x=0; x<cols; x+=2) {
-                luma[rowBase+x] = rowBuf[x>>1];
-                luma[rowBase+x+1] = rowBuf[(cols+x)>>1];
-            }
-            // Restore odd samples by inverting diff against prediction
-            for (let x=0; x<cols; x+=2) {
-                const even1 = rowBase + x;
-                const odd   = rowBase + x + 1;
-                const even2 = rowBase + x + ((x+2<cols) ? 2 : 0);
-                const prediction = (luma[even1] + luma[even2]) >> 1;
-                let diff = luma[odd] << 24 >> 23;  // extend sign, expand to 1x!
-                diff += prediction;
-                diff = (diff < 0) ? 0 : ((diff > 255) ? 255 : diff);
-                luma[odd] = diff & 0xff;
-            }
+        e.value = s[key];
+        if (e.selectedIndex === -1) {
+            e.value = DEFAULT_SETTINGS[key];
         }
     }
+    DN_THRESH.forEach((e, i) => {
+        e.value = s.denoiseThresholds[i];
+    });
+    for (const e of EQ_GAINS) {
+        const level = Number(e.dataset.level);
+        const orient = "HVD".indexOf(e.dataset.orient);
+        e.value = s.eqGains[level-1][orient];
+    }
+    // Controls that show, hide, or disable other parts of the page
+    HISTOGRAM.hidden = !SHOW_HIST.checked;
+    STATS_BOX.hidden = !SHOW_STATS.checked;
+    CODES_BOX.hidden = !DETECT.checked;
+    OVERLAY.hidden = !DETECT.checked;
+    ONEBITBIAS.disabled = CONTRAST.value == "Otsu";
 }
 
-// Forward lifting scheme Haar wavelet transform
-function waveletFwdHaar(w, h, levels, luma) {
-    // Do a lifting scheme in-place Haar wavelet transform
-    //   See "Building Your Own Wavelets at Home" course notes
-    //   by Wim Sweldens and Peter Schröder
-    //   Section 1.3 Haar and Lifting
-    const squash = SQUASH.checked;
-    const sqbias = Number(SQBIAS.value);
-    let rowBuf = new Uint8Array(w);
-    let colBuf = new Uint8Array(h);
-    for (let level=1; level<=levels; level++) {
-        // cols and rows define the pixel buffer subregion that the current
-        // level of the wavelet transform operates on. Level 1 does the whole
-        // pixel buffer, level 2 does only the top left quadrant, and so on.
-        const cols = w >> (level-1);
-        const rows = h >> (level-1);
-        // Loop over all the rows (horizontal average and difference)
-        for (let y=0; y<rows; y+=1) {
-            const rowBase = y * w;
-            // Transform (x, x+1) pixel pairs into (average, difference) pairs
-            for (let x=0; x<cols; x+=2) {
-                // Scale Uint8 up by 4x and do intermediate math as Int32
-                let a = luma[rowBase+x] << 2;
-                let b = luma[rowBase+x+1] << 2;
-                b = (b - a) >> 1;                // Difference d/2 = (b - a)/2
-                a = a + b;                       // Average      s = a + d/2
-                // Store results in Uint8 buffer
-                rowBuf[x>>1]        = (a >> 2) & 0xff;
-                rowBuf[(cols+x)>>1] = (b >> 2) & 0xff;
-            }
-            // Overwrite input pixels with buffer of averages and differences
-            for (let x=0; x<cols; x++) {
-               luma[rowBase+x] = rowBuf[x];
-            }
-        }
-        // Loop over all the columns (vertical average and difference)
-        for (let x=0; x<cols; x+=1) {
-            // Transform (y, y+1) pixel pairs into (average, difference) pairs
-            for (let y=0; y<rows; y+=2) {
-                const px0 = (y * w) + x;
-                const px1 = px0 + w;
-                // Scale Uint8 up by 4x and do intermediate math as Int32
-                let a = luma[px0] << 2;
-                let b = luma[px1] << 2;
-                b = (b - a) >> 1;                // Difference d/2 = (b - a)/2
-                a = a + b;                       // Average      s = a + d/2
-                // Store results in Uint8 buffer
-                let avg = (a >> 2) & 0xff;
-                if (squash && level==levels && (x<(cols>>1))) {
-                    avg = sqbias;
-                }
-                colBuf[y>>1]        = avg;
-                colBuf[(rows+y)>>1] = (b >> 2) & 0xff;
-            }
-            // Overwrite input pixels with buffer of averages and differences
-            for (let y=0; y<rows; y++) {
-               luma[(y*w)+x] = colBuf[y];
+// Return the JSON value stored in localStorage under key, or null
+function loadJSON(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (err) {
+        return null;
+    }
+}
+
+// Store value in localStorage under key as JSON
+function storeJSON(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (err) {
+        console.log(`unable to store ${key}`, err);
+    }
+}
+
+// Remember the current settings in localStorage and the URL hash (so the
+// address is a link to these settings)
+function settingsChanged() {
+    const settings = readSettings();
+    storeJSON(SETTINGS_KEY, changedSettings(settings));
+    const hash = settingsToHash(settings);
+    history.replaceState(null, "", hash || location.pathname + location.search);
+}
+
+// Restore the settings from the URL hash (for a shared link) or else from
+// localStorage (stored settings get checked too, since they may be from an
+// older version of the page)
+function restoreSettings() {
+    const fromHash = settingsFromHash(location.hash);
+    if (Object.keys(fromHash).length > 0) {
+        applySettings(fromHash);
+    } else {
+        applySettings(cleanSettings(loadJSON(SETTINGS_KEY)));
+    }
+}
+
+// Return the saved presets as {name: settings}
+function savedPresets() {
+    return cleanPresets(loadJSON(PRESETS_KEY));
+}
+
+// Fill the preset select with the built-in and saved presets, and select
+// the named one
+function listPresets(selected = "") {
+    const saved = Object.keys(savedPresets())
+        .filter((name) => !(name in BUILTIN_PRESETS));
+    PRESET.replaceChildren(new Option("--presets--", ""));
+    for (const name of [...Object.keys(BUILTIN_PRESETS), ...saved]) {
+        PRESET.add(new Option(name, name));
+    }
+    PRESET.value = selected;
+    updatePresetButtons();
+}
+
+// Only saved presets can be deleted (saving one with a built-in preset's
+// name overrides the built-in one until it gets deleted)
+function updatePresetButtons() {
+    PRESET_DEL.disabled = !(PRESET.value in savedPresets());
+}
+
+// Switch to the selected preset
+function loadPreset() {
+    const name = PRESET.value;
+    const preset = savedPresets()[name] || BUILTIN_PRESETS[name];
+    updatePresetButtons();
+    if (!preset) {
+        return;
+    }
+    PRESET_NAME.value = name;
+    applySettings(preset);
+    settingsChanged();
+    setStatus(`preset: ${name}`);
+    if (STILL || (FILE_URL && VIDEO.paused)) {
+        renderFrame();
+    }
+}
+
+// Save the current settings as a preset named in the preset name box
+function savePreset() {
+    const name = PRESET_NAME.value.trim();
+    if (!name) {
+        setStatus("type a name for the preset first");
+        return;
+    }
+    const presets = savedPresets();
+    presets[name] = changedSettings(readSettings());
+    storeJSON(PRESETS_KEY, presets);
+    listPresets(name);
+    setStatus(`saved preset: ${name}`);
+}
+
+// Delete the selected saved preset
+function deletePreset() {
+    const name = PRESET.value;
+    const presets = savedPresets();
+    delete presets[name];
+    storeJSON(PRESETS_KEY, presets);
+    listPresets();
+    setStatus(`deleted preset: ${name}`);
+}
+
+// Download the current settings and the saved presets as a JSON file
+function exportPresets() {
+    const json = exportSettings(readSettings(), savedPresets());
+    download(new Blob([json], {type: "application/json"}),
+        "webwavecam-settings.json");
+}
+
+// Load a settings file from exportPresets: add its presets to the saved
+// ones (replacing any with the same names), and switch to its settings
+function importPresets(file) {
+    file.text()
+    .then((text) => {
+        const {current, presets} = importSettings(text);
+        storeJSON(PRESETS_KEY, {...savedPresets(), ...presets});
+        listPresets();
+        if (current) {
+            applySettings(current);
+            settingsChanged();
+            if (STILL || (FILE_URL && VIDEO.paused)) {
+                renderFrame();
             }
         }
+        const n = Object.keys(presets).length;
+        setStatus(`imported ${file.name} (${n} presets)`);
+    })
+    .catch((err) => setStatus(`unable to import ${file.name}: ${err.message}`));
+}
+
+// Return the current frame source (camera/video file or still image) and its
+// native size as [src, srcW, srcH], or null if there isn't one yet
+function currentSource() {
+    if (!STREAM && !FILE_URL) {
+        return null;
     }
+    const src = STILL ? STILL : VIDEO;
+    const srcW = STILL ? STILL.naturalWidth : VIDEO.videoWidth;
+    const srcH = STILL ? STILL.naturalHeight : VIDEO.videoHeight;
+    return (srcW > 0 && srcH > 0) ? [src, srcW, srcH] : null;
 }
 
-// Inverse lifting scheme Haar wavelet transform
-function waveletInvHaar(w, h, levels, luma) {
-    let rowBuf = new Uint8Array(w);
-    let colBuf = new Uint8Array(h);
-    for (let level=levels; level>0; level--) {
-        // cols and rows define the pixel buffer subregion that the current
-        // level of the wavelet transform operates on. Level 1 does the whole
-        // pixel buffer, level 2 does only the top left quadrant, and so on.
-        const cols = w >> (level-1);
-        const rows = h >> (level-1);
-        // Loop over all the columns (vertical average and difference)
-        for (let x=0; x<cols; x+=1) {
-            // Transform (average, difference) pairs into (y, y+1) pixel pairs
-            for (let y=0; y<rows; y+=2) {
-                const pxAvg = (w * (y>>1)) + x;
-                const pxDiff = (w * ((rows+y)>>1)) + x;
-                let a = luma[pxAvg];                 // average
-                let b = luma[pxDiff] << 24 >> 24;    // sign extend diff
-                // Invert the average and difference
-                a = a - b;
-                b = (b << 1) + a;
-                // Clamp to range 0..255 to avoid quantization noise errors
-                a = (a < 0) ? 0 : ((a > 255) ? 255 : a);
-                b = (b < 0) ? 0 : ((b > 255) ? 255 : b);
-                // Store results in Uint8 buffer
-                colBuf[y]   = a & 0xff;
-                colBuf[y+1] = b & 0xff;
-            }
-            // Overwrite input averages and differences with pixels
-            for (let y=0; y<rows; y++) {
-              luma[(y*w)+x] = colBuf[y];
-            }
+// Return the output frame size [w, h] from the size select. "full" means the
+// native size of the source.
+function outputSize() {
+    if (SIZE.value == "full") {
+        const source = currentSource();
+        return source ? [source[1], source[2]] : [CANVAS.width, CANVAS.height];
+    }
+    return SIZE.value.split("x").map(Number);
+}
+
+// Return the source and crop region [sx, sy, sw, sh] for a w*h frame of the
+// current source (camera, video file, or still image), or null if there's no
+// source yet. Camera frames that are big enough get cropped 1:1 from the
+// center (digital zoom). Anything else gets the largest center crop with the
+// same aspect ratio as the output, to be scaled to fit the canvas.
+function sourceCrop(w, h) {
+    const source = currentSource();
+    if (!source) {
+        return null;
+    }
+    const [src, srcW, srcH] = source;
+    if (STREAM && srcW >= w && srcH >= h) {
+        const srcX = (srcW - w) >> 1;
+        const srcY = (srcH - h) >> 1;
+        return {src, crop: [srcX, srcY, w, h]};
+    }
+    const scale = Math.max(w / srcW, h / srcH);
+    const cropW = Math.min(srcW, Math.round(w / scale));
+    const cropH = Math.min(srcH, Math.round(h / scale));
+    const srcX = (srcW - cropW) >> 1;
+    const srcY = (srcH - cropH) >> 1;
+    return {src, crop: [srcX, srcY, cropW, cropH]};
+}
+
+// Disable level options that are too deep for a w*h frame
+function updateLevelOptions(w, h) {
+    const max = maxLevels(w, h);
+    for (const opt of LEVELS.options) {
+        opt.disabled = Number(opt.value) > max;
+    }
+}
+
+// Return a transferable snapshot of src for the worker (a VideoFrame for
+// video when supported, otherwise an ImageBitmap)
+function grabFrame(src) {
+    if (src === VIDEO && typeof VideoFrame !== "undefined") {
+        return Promise.resolve(new VideoFrame(VIDEO));
+    }
+    return createImageBitmap(src);
+}
+
+// Filter the current source frame and draw the result to the canvas. With a
+// worker, frames that arrive while the worker is busy get dropped.
+function renderFrame() {
+    const [w, h] = outputSize();
+    updateLevelOptions(w, h);
+    const source = sourceCrop(w, h);
+    if (!source) {
+        return;
+    }
+    const options = readOptions();
+    if (!WORKER) {
+        const timings = {};
+        const report = SHOW_HIST.checked ? {} : null;
+        LAST_FRAME = renderToCanvas(CTX, source.src, source.crop, w, h,
+            options, timings, report, DETECT.checked);
+        frameProcessed(timings, report);
+        if (GIF_RECORDING && !GIF_RECORDING.add(LAST_FRAME,
+            performance.now()))
+        {
+            finishGIF();
         }
-        // Loop over all the rows (horizontal average and difference)
-        for (let y=0; y<rows; y+=1) {
-            const rowBase = y * w;
-            // Transform (average, difference) pairs into (x, x+1) pixel pairs
-            for (let x=0; x<cols; x+=2) {
-                const pxAvg = rowBase + (x>>1);
-                const pxDiff = rowBase + ((cols+x)>>1);
-                let a = luma[pxAvg];                 // average
-                let b = luma[pxDiff] << 24 >> 24;    // sign extend diff
-                // Invert the average and difference
-                a = a - b;
-                b = (b << 1) + a;
-                // Clamp to range 0..255 to avoid quantization noise errors
-                a = (a < 0) ? 0 : ((a > 255) ? 255 : a);
-                b = (b < 0) ? 0 : ((b > 255) ? 255 : b);
-                // Store results in Uint8 buffer
-                rowBuf[x]   = a & 0xff;
-                rowBuf[x+1] = b & 0xff;
-            }
-            // Overwrite input averages and differences with pixels
-            for (let x=0; x<cols; x++) {
-                luma[rowBase+x] = rowBuf[x];
-            }
+        const detecting = DETECT.checked && DETECTOR(LAST_FRAME);
+        if (detecting) {
+            detecting.then((results) => codesDetected(results, w, h))
+            .catch((err) => console.log("detect failed", err));
         }
+        return;
     }
+    if (WORKER_BUSY) {
+        FRAME_PENDING = true;
+        STATS.dropped++;
+        return;
+    }
+    WORKER_BUSY = true;
+    FRAME_PENDING = false;
+    grabFrame(source.src)
+    .then((frame) => {
+        WORKER.postMessage({type: "frame", frame, crop: source.crop, w, h,
+            options, histogram: SHOW_HIST.checked, detect: DETECT.checked},
+            [frame]);
+    })
+    .catch((err) => {
+        console.log("grabFrame failed", err);
+        WORKER_BUSY = false;
+    });
 }
 
-function autoContrastHistogram(w, h, luma) {
-    const binShift = 1;
-    const bins = 256 >> binShift;
-    const binSize = 1 << binShift;
-    const half = (w * h) >> 1;
-    let minLuma = 255;
-    let maxLuma = 0;
-    // Make a histogram of luma values, and track the min/max values
-    let histo = new Uint32Array(bins);
-    for(const Y of luma) {
-        if (Y < minLuma) {
-            minLuma = Y;
+// Handle replies from the frame processing worker
+function handleWorkerMessage(e) {
+    const msg = e.data;
+    switch(msg.type) {
+    case "done":
+        WORKER_BUSY = false;
+        frameProcessed(msg.timings, msg.report);
+        // Playing video will send another frame soon, but a still image or
+        // paused video needs a re-render to pick up the latest settings
+        if (FRAME_PENDING && (STILL || VIDEO.paused)) {
+            renderFrame();
         }
-        if (Y > maxLuma) {
-            maxLuma = Y;
+        break;
+    case "codes":
+        codesDetected(msg.results, msg.w, msg.h);
+        break;
+    case "recorded":
+        if (RECORDING) {
+            gifRecorded(msg.gif);
         }
-        histo[Y>>binShift] += 1;
-    }
-    // scale the bin counts down to reduce noise
-    histo = histo.map(n => n >> 10);
-    // Find a peak bin for the dark values
-    let firstPeak = -1;
-    let lastPeak = -1;
-    for(let i=0; i<histo.length; i++) {
-        let n = histo[i];
-        if ((firstPeak < 0) && (n > 0)) {
-            firstPeak = i;
-        } else if ((firstPeak >= 0) && (n < histo[firstPeak])) {
-            break;
-        } else if ((firstPeak >= 0) && (n >= histo[firstPeak])) {
-            firstPeak = i;
+        break;
+    case "saved":
+        if (SAVE_REQUEST) {
+            if (msg.error) {
+                SAVE_REQUEST.reject(new Error(msg.error));
+            } else {
+                SAVE_REQUEST.resolve(msg.frame);
+            }
+            SAVE_REQUEST = null;
         }
+        break;
     }
-    // Find a peak bin for the light values
-    for(let i=histo.length-1; i>0; i--) {
-        let n = histo[i];
-        if ((lastPeak < 0) && (n > 0)) {
-            lastPeak = i;
-        } else if ((lastPeak >= 0) && (n < histo[lastPeak])) {
-            break;
-        } else if ((lastPeak >= 0) && (n >= histo[lastPeak])) {
-            lastPeak = i;
-        }
+}
+
+// Update the stats for a processed frame and refresh the overlay (at most
+// every STATS_INTERVAL ms), then draw the auto-contrast histogram if there is
+// a report for it
+function frameProcessed(timings, report) {
+    if (report && report.histogram) {
+        drawHistogram(HISTOGRAM.getContext("2d"), report.histogram,
+            report.cutoffs);
+    }
+    const now = performance.now();
+    countFrames(STATS.processed, now);
+    addTimings(STATS, timings);
+    if (SHOW_STATS.checked && now - STATS_SHOWN_AT >= STATS_INTERVAL) {
+        showStats();
+    }
+}
+
+// Handle the results of a code detection run on a w*h frame: outline the
+// codes found in the filtered frame, add them to the results list, and update
+// the filtered vs. raw decode counts
+function codesDetected(results, w, h) {
+    if (!DETECT.checked) {
+        return;
     }
-    // Calculate a threshold midway-ish between the peaks
-    let cutoff = minLuma + ((maxLuma - minLuma) >> 1);
-    if (firstPeak >= 0 && lastPeak >= 0 && firstPeak < lastPeak) {
-        cutoff = 127 - (((firstPeak + lastPeak) * binSize) >> 1);
+    if (OVERLAY.width != w || OVERLAY.height != h) {
+        OVERLAY.width = w;
+        OVERLAY.height = h;
     }
-    // Adjust the luma values to center on the threshold
-    for(let i=0; i<luma.length; i++) {
-        let Y = luma[i] + cutoff;
-        luma[i] = (Y > 255) ? 255 : ((Y < 0) ? 0 : Y);
+    drawCodes(OVERLAY.getContext("2d"), results.codes);
+    countDetections(DETECT_COUNTS, results);
+    DETECT_STATS.textContent = `${formatDetectStats(DETECT_COUNTS)} `
+        + `(${results.detector})`;
+    const values = results.codes.map((c) => c.rawValue);
+    if (values.length == 0 || values.every((v) => CODES.includes(v))) {
+        return;
     }
+    CODES = [...new Set([...values, ...CODES])].slice(0, MAX_CODES);
+    showCodes();
 }
 
-// Process video frames
-function handleNewFrame(now, metadata) {
-    // Copy video frame from video element to canvas element
-    const w = CANVAS.width;
-    const h = CANVAS.width;
-    const levels = Number(LEVELS.value);
-    CANVAS.width = w;
-    CANVAS.height = h;
-    // Crop a square out of the center of the video frame (digital zoom)
-    const srcX = (VIDEO.videoWidth - w) >> 1;
-    const srcY = (VIDEO.videoHeight - h) >> 1;
-    CTX.drawImage(VIDEO, srcX, srcY, w, h, 0, 0, w, h);
-    // Apply filter to the pixels of the canvas element
-    // getImageData returns RGBA Uint8ClampedArray of pixels in row-major order
-    const imageData = CTX.getImageData(0, 0, w, h);
-    const rgba = imageData.data;
-    var luma = lumaFrom(rgba);
-    // -- begin filter chain ---
-
-    switch(TRANSFORM.value) {
-    case "Haar":
-        waveletFwdHaar(w, h, levels, luma);
-        if (INV_WAVE.checked) {
-            waveletInvHaar(w, h, levels, luma);
-        }
+// Fill the results list with the decoded codes, each with a copy button
+function showCodes() {
+    CODE_LIST.replaceChildren(...CODES.map((value) => {
+        const li = document.createElement('li');
+        const copy = document.createElement('button');
+        copy.textContent = "copy";
+        copy.addEventListener('click', function() {
+            navigator.clipboard.writeText(value)
+            .then(() => setStatus("copied to clipboard"))
+            .catch((err) => setStatus(`unable to copy: ${err}`));
+        });
+        const text = document.createElement('code');
+        text.textContent = value;
+        li.append(copy, " ", text);
+        return li;
+    }));
+}
+
+// Forget the decoded codes and counts, and clear the outlines
+function resetCodes() {
+    DETECT_COUNTS = createDetectStats();
+    CODES = [];
+    DETECT_STATS.textContent = "";
+    CODE_LIST.replaceChildren();
+    OVERLAY.getContext("2d").clearRect(0, 0, OVERLAY.width, OVERLAY.height);
+}
+
+// Draw the stats overlay text
+function showStats() {
+    const now = performance.now();
+    const where = WORKER ? "worker" : "main thread";
+    STATS_BOX.textContent = formatStats(STATS, now, `${SCHEDULER}, ${where}`);
+    STATS_SHOWN_AT = now;
+}
+
+// Start counting stats, averaging frames, and collecting decoded codes from
+// scratch (for a new frame source)
+function resetStats() {
+    STATS = createStats();
+    LAST_VIDEO_FRAME = null;
+    resetCodes();
+    if (WORKER) {
+        WORKER.postMessage({type: "reset"});
+    } else {
+        resetTemporal();
+    }
+}
+
+// Count a new input frame. counter is the source's running frame count, if
+// it has one, and frames that went by since the last one count as dropped.
+function countInputFrame(counter) {
+    let n = 1;
+    if (counter !== null && LAST_VIDEO_FRAME !== null
+        && counter > LAST_VIDEO_FRAME)
+    {
+        n = counter - LAST_VIDEO_FRAME;
+    }
+    STATS.dropped += n - 1;
+    countFrames(STATS.input, performance.now(), n);
+}
+
+// Cancel the pending frame callback or timer, if there is one
+function cancelFrame() {
+    if (FRAME_HANDLE === null) {
+        return;
+    }
+    switch(SCHEDULER) {
+    case "rVFC":
+        VIDEO.cancelVideoFrameCallback(FRAME_HANDLE);
         break;
-    case "Linear":
-        waveletFwdLinear(w, h, levels, luma);
-        if (INV_WAVE.checked) {
-            waveletInvLinear(w, h, levels, luma);
-        }
+    case "rAF":
+        cancelAnimationFrame(FRAME_HANDLE);
         break;
+    default:
+        clearTimeout(FRAME_HANDLE);
     }
-    switch(CONTRAST.value) {
-    case "Histogram":
-        autoContrastHistogram(w, h, luma);
+    FRAME_HANDLE = null;
+}
+
+// Schedule a callback for the next video frame (replaces any pending one)
+function scheduleFrame() {
+    cancelFrame();
+    switch(SCHEDULER) {
+    case "rVFC":
+        FRAME_HANDLE = VIDEO.requestVideoFrameCallback(handleNewFrame);
         break;
+    case "rAF":
+        FRAME_HANDLE = requestAnimationFrame(pollFrame);
+        break;
+    default:
+        FRAME_HANDLE = setTimeout(pollFrame, TIMER_MS);
+    }
+}
+
+// Process video frames (requestVideoFrameCallback scheduler)
+function handleNewFrame(now, metadata) {
+    FRAME_HANDLE = null;
+    countInputFrame(metadata.presentedFrames);
+    LAST_VIDEO_FRAME = metadata.presentedFrames;
+    renderFrame();
+    scheduleFrame();
+}
+
+// Return the decoded frame count of the video element, or null if the
+// browser doesn't count frames
+function videoFrameCount() {
+    if (!VIDEO.getVideoPlaybackQuality) {
+        return null;
+    }
+    const total = VIDEO.getVideoPlaybackQuality().totalVideoFrames;
+    return (total > 0) ? total : null;
+}
+
+// Check for a new video frame and process it if there is one
+// (requestAnimationFrame and timer schedulers). Polling runs faster than the
+// video frame rate, so the same frame would get processed over and over
+// without checking that it changed.
+function pollFrame() {
+    FRAME_HANDLE = null;
+    if (VIDEO.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+        // Without a frame count, the playback time tells frames apart
+        const count = videoFrameCount();
+        const id = (count !== null) ? count : VIDEO.currentTime;
+        if (id !== LAST_VIDEO_FRAME) {
+            countInputFrame(count);
+            LAST_VIDEO_FRAME = id;
+            renderFrame();
+        }
+    }
+    scheduleFrame();
+}
+
+// Return the remembered camera device id, or "" for the default camera
+function savedDevice() {
+    try {
+        return localStorage.getItem(DEVICE_KEY) || "";
+    } catch (err) {
+        return "";
+    }
+}
+
+// Remember the selected camera device id ("" forgets it)
+function saveDevice(deviceId) {
+    try {
+        if (deviceId) {
+            localStorage.setItem(DEVICE_KEY, deviceId);
+        } else {
+            localStorage.removeItem(DEVICE_KEY);
+        }
+    } catch (err) {
+        console.log("unable to remember camera", err);
     }
-    if (INV_LUMA.checked) {
-        invert(luma);
+}
+
+// Fill the camera select with the available cameras, keeping the selected
+// (or remembered) camera selected if it's still there. Returns a Promise of
+// the list of cameras. Until the page has camera permission, browsers hide
+// the device ids, so the list only has the default camera.
+function listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+        return Promise.resolve([]);
     }
+    return navigator.mediaDevices.enumerateDevices()
+    .then((devices) => {
+        const cameras = devices.filter((d) => d.kind == "videoinput"
+            && d.deviceId);
+        const selected = CAM_DEVICE.value || savedDevice();
+        CAM_DEVICE.replaceChildren(new Option("default", ""));
+        cameras.forEach((d, i) => {
+            CAM_DEVICE.add(new Option(d.label || `camera ${i+1}`, d.deviceId));
+        });
+        const found = cameras.some((d) => d.deviceId == selected);
+        CAM_DEVICE.value = found ? selected : "";
+        return cameras;
+    })
+    .catch((err) => {
+        console.log("unable to list cameras", err);
+        return [];
+    });
+}
 
-    if(ONEBIT.checked) {
-        onebit(luma);
+// Return camera settings for videoConstraints from the camera controls. The
+// remembered camera gets used if the list hasn't been filled in yet.
+function readCameraSettings() {
+    const [width, height] = CAM_RES.value.split("x").map(Number);
+    return {
+        deviceId: CAM_DEVICE.value || savedDevice(),
+        width,
+        height,
+        frameRate: Number(CAM_FPS.value),
+        facing: FACING,
+    };
+}
+
+// Update the camera button for the camera being on or off
+function setCamButton(on) {
+    CAM_BTN.classList.toggle('on', on);
+    CAM_BTN.textContent = on ? 'pause' : 'Start Camera';
+}
+
+// Show the adjustment controls that the camera track supports, set to the
+// track's current values, and hide the rest
+function updateAdjustments(track) {
+    const adjustments = trackAdjustments(track);
+    let supported = false;
+    for (const e of CAM_ADJUSTERS) {
+        const adj = adjustments[e.id];
+        e.parentElement.hidden = (adj === undefined);
+        if (adj === undefined) {
+            continue;
+        }
+        supported = true;
+        if (e.type == "checkbox") {
+            e.checked = adj;
+        } else {
+            e.min = adj.min;
+            e.max = adj.max;
+            e.step = adj.step;
+            e.value = adj.value;
+        }
+    }
+    CAM_ADJUST.hidden = !supported;
+}
+
+// Apply the value of an adjustment control to the camera track
+function applyAdjustment(e) {
+    if (!STREAM) {
+        return;
     }
+    const track = STREAM.getVideoTracks()[0];
+    const value = (e.type == "checkbox") ? e.checked : Number(e.value);
+    track.applyConstraints(adjustmentConstraints(e.id, value))
+    .then(() => {
+        if (e.id == "focusDistance") {
+            AUTO_FOCUS.checked = false;
+        }
+    })
+    .catch((err) => console.log(`unable to set ${e.id}`, err));
+}
 
-    // --- end filter chain ---
-    // Draw the luma values back to the canvas as RGBA pixels
-    expandIntoRGBA(luma, rgba);
-    CTX.putImageData(imageData, 0, 0);
-    // Schedule a callback for the next frame
-    if (HAS_RVFC) {
-        VIDEO.requestVideoFrameCallback(handleNewFrame);
+// Stop the camera's video stream, if there is one
+function stopStream() {
+    if (!STREAM) {
+        return;
+    }
+    for(let t of STREAM.getTracks()) {
+        t.stop();     // turn off camera (LED should go off)
     }
+    STREAM = null;
+    CAM_ADJUST.hidden = true;
 }
 
-// Attempt to open video stream from default camera
+// Return a Promise of a video stream for camera settings
+function openCamera(settings) {
+    return navigator.mediaDevices.getUserMedia({
+        video: videoConstraints(settings),
+    });
+}
+
+// Attempt to open video stream from the selected camera (or restart it with
+// new settings if it's already open)
 function startVideo() {
-    const constraints = {video: {
-        width: 480,
-        height: 480,
-        facingMode: "environment",
-        frameRate: 15,
-    }};
     if (! navigator.mediaDevices) {
         console.log("navigator.mediaDevices missing... iOS lockdown mode?");
         alert("It looks like you might be using an iOS device with lockdown "
@@ -455,28 +927,41 @@ function startVideo() {
          + "Settings > Lockdown Mode > [turn switch off]");
         return;
     }
-    navigator.mediaDevices.getUserMedia(constraints)
+    // Phones often can't open two cameras at once, so let go of the old one
+    stopStream();
+    const settings = readCameraSettings();
+    openCamera(settings)
+    .catch((err) => {
+        if (!settings.deviceId) {
+            throw err;
+        }
+        // The remembered camera might be unplugged, so try the default one
+        console.log("unable to open selected camera", err);
+        return openCamera({...settings, deviceId: ""});
+    })
     .then((stream_) => {
+        // Let go of any image or video file that was loaded
+        closeFile();
         // Update HTML button
-        CAM_BTN.classList.add('on');
-        CAM_BTN.textContent = 'pause';
+        setCamButton(true);
         // Save reference to stream
         STREAM = stream_;
         // Watch for possible USB camera unplugged event (among other things)
         navigator.mediaDevices.ondevicechange = deviceChange;
-        // Update status line with camera name
-        let cameras = [];
-        for(let t of stream_.getTracks()) {
-            cameras.push(t.label);
-        }
-        setStatus(cameras.join(", "));
+        const track = stream_.getVideoTracks()[0];
+        track.addEventListener('ended', lostCamera);
+        // Update status line with camera name and the mode it opened in
+        const s = track.getSettings();
+        const mode = (s.width && s.height)
+            ? ` (${s.width}x${s.height}, ${Math.round(s.frameRate)} fps)` : "";
+        setStatus(track.label + mode);
+        // Now that there's permission, the camera list can have names
+        listCameras();
+        updateAdjustments(track);
         // Start live preview of video stream
         VIDEO.srcObject = stream_;
-        if (HAS_RVFC) {
-            VIDEO.requestVideoFrameCallback(handleNewFrame);
-        } else {
-            console.log("HTMLElement.requestVideoFrameCallback not supported");
-        }
+        resetStats();
+        scheduleFrame();
         try {
             VIDEO.play();
         } catch (err) {
@@ -484,6 +969,7 @@ function startVideo() {
         }
     })
     .catch((err) => {
+        setCamButton(false);
         setStatus("failed to start camera");
         console.log("unable to open video stream", err);
         alert("I wasn't able to open any cameras. Maybe your privacy settings "
@@ -491,26 +977,313 @@ function startVideo() {
     });
 }
 
-// Handle possibility of USB webcam being suddenly unplugged
+// Handle cameras being plugged in or unplugged: refresh the camera list, and
+// fail over if the camera in use went away
 function deviceChange(d) {
-    if(STREAM && !STREAM.active) {
-        pauseVideo();
-        setStatus("paused (lost video stream)");
+    listCameras()
+    .then(() => {
+        if(STREAM && !STREAM.active) {
+            lostCamera();
+        }
+    });
+}
+
+// Handle the video stream ending unexpectedly (e.g. USB webcam suddenly
+// unplugged) by switching to another camera, or pausing if there's none
+function lostCamera() {
+    if (!STREAM) {
+        return;
+    }
+    stopStream();
+    listCameras()
+    .then((cameras) => {
+        if (cameras.length == 0) {
+            pauseVideo();
+            setStatus("paused (lost video stream)");
+            return;
+        }
+        setStatus("lost video stream, switching cameras...");
+        startVideo();
+    });
+}
+
+// Restart the camera (if it's on) to use changed camera settings
+function restartCamera() {
+    if (STREAM) {
+        startVideo();
     }
 }
 
 // Pause playback at current frame, then let go of camera's video stream
 function pauseVideo() {
     VIDEO.pause();    // freeze video playback at current frame
-    CAM_BTN.classList.remove('on');
-    CAM_BTN.textContent = 'Start Camera';
-    for(let t of STREAM.getTracks()) {
-        t.stop();     // turn off camera (LED should go off)
-    }
-    STREAM = null;
+    setCamButton(false);
+    stopStream();
     setStatus("paused");
 }
 
+// Update enabled state and labels of the video file transport buttons
+function updateTransport() {
+    const isVideoFile = FILE_URL !== null && STILL === null;
+    PLAY_BTN.disabled = !isVideoFile;
+    PLAY_BTN.textContent = (isVideoFile && !VIDEO.paused) ? 'pause' : 'play';
+    STEP_BACK.disabled = !isVideoFile || !VIDEO.paused;
+    STEP_FWD.disabled = !isVideoFile || !VIDEO.paused;
+}
+
+// Let go of the currently loaded image or video file, if there is one
+function closeFile() {
+    if (FILE_URL === null) {
+        return;
+    }
+    if (STILL === null) {
+        VIDEO.pause();
+        VIDEO.removeAttribute('src');
+        VIDEO.load();
+    }
+    VIDEO.removeAttribute('poster');
+    URL.revokeObjectURL(FILE_URL);
+    FILE_URL = null;
+    STILL = null;
+    updateTransport();
+}
+
+// Load a still image or video file as the frame source
+function openFile(file) {
+    const isImage = IMAGE_TYPES.includes(file.type);
+    if (!isImage && !file.type.startsWith("video/")) {
+        setStatus(`unsupported file type: ${file.type || file.name}`);
+        return;
+    }
+    if (STREAM) {
+        pauseVideo();
+    }
+    closeFile();
+    resetStats();
+    FILE_URL = URL.createObjectURL(file);
+    VIDEO.srcObject = null;
+    if (isImage) {
+        // Show the original image as the video element's poster frame
+        const img = new Image();
+        img.src = FILE_URL;
+        img.decode()
+        .then(() => {
+            STILL = img;
+            VIDEO.poster = img.src;
+            const size = `${img.naturalWidth}x${img.naturalHeight}`;
+            setStatus(`${file.name} (${size})`);
+            renderFrame();
+            updateTransport();
+        })
+        .catch((err) => {
+            setStatus(`unable to decode ${file.name}`);
+            console.log("image decode failed", err);
+            closeFile();
+        });
+    } else {
+        VIDEO.src = FILE_URL;
+        VIDEO.loop = true;
+        setStatus(file.name);
+        scheduleFrame();
+        updateTransport();
+    }
+}
+
+// Step video file playback by n frames (negative n steps backward)
+function stepFrames(n) {
+    VIDEO.pause();
+    const t = VIDEO.currentTime + (n * FRAME_STEP);
+    VIDEO.currentTime = Math.max(0, Math.min(VIDEO.duration || 0, t));
+}
+
+// Download a Blob as a file with the given name
+function download(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Return a Promise of the most recent filtered frame as
+// {luma, w, h, onebit, png}, or null if nothing has been rendered yet. The
+// Promise is rejected if the PNG can't be encoded, or (with the worker) if
+// the last save hasn't finished yet.
+function fetchLastFrame() {
+    if (WORKER) {
+        if (SAVE_REQUEST) {
+            return Promise.reject(new Error("still saving the last frame"));
+        }
+        return new Promise((resolve, reject) => {
+            SAVE_REQUEST = {resolve, reject};
+            WORKER.postMessage({type: "save"});
+        });
+    }
+    if (!LAST_FRAME) {
+        return Promise.resolve(null);
+    }
+    // Copy the luma now, since the next frame may reuse its buffer before
+    // the PNG is ready
+    const {w, h, onebit} = LAST_FRAME;
+    const luma = LAST_FRAME.luma.slice();
+    return new Promise((resolve, reject) => {
+        CANVAS.toBlob((png) => {
+            if (png) {
+                resolve({luma, w, h, onebit, png});
+            } else {
+                reject(new Error("unable to encode PNG"));
+            }
+        }, "image/png");
+    });
+}
+
+// Save the most recent filtered frame in the selected file format
+function saveFrame() {
+    fetchLastFrame()
+    .then((frame) => {
+        if (frame) {
+            saveAs(frame);
+        } else {
+            setStatus("no frame to save yet");
+        }
+    })
+    .catch((err) => setStatus(`unable to save frame: ${err.message}`));
+}
+
+// Download frame = {luma, w, h, onebit, png} in the selected save format
+function saveAs(frame) {
+    const {luma, w, h, onebit, png} = frame;
+    const bin = "application/octet-stream";
+    switch(SAVE_FMT.value) {
+    case "PNG":
+        download(png, "webwavecam.png");
+        break;
+    case "PGM":
+        // 1-bit frames are saved as PBM since that's 8x smaller
+        if (onebit) {
+            download(new Blob([encodePBM(luma, w, h)], {type: bin}),
+                "webwavecam.pbm");
+        } else {
+            download(new Blob([encodePGM(luma, w, h)], {type: bin}),
+                "webwavecam.pgm");
+        }
+        break;
+    case "EscPos384":
+    case "EscPos576": {
+        const dots = (SAVE_FMT.value == "EscPos384") ? 384 : 576;
+        download(new Blob([encodeEscPosRaster(luma, w, h, dots)], {type: bin}),
+            `webwavecam_${dots}.bin`);
+        break;
+    }
+    case "CHeader":
+        download(new Blob([encodeCHeader(luma, w, h, "webwavecam")],
+            {type: "text/plain"}), "webwavecam.h");
+        break;
+    }
+}
+
+// Start recording the output in the selected format, at the selected frame
+// rate, for at most the selected number of seconds
+function startRecording() {
+    const fps = Number(RECORD_FPS.value);
+    const maxSeconds = Math.max(1, Number(RECORD_MAX.value) || 1);
+    try {
+        if (RECORD_FMT.value == "GIF") {
+            startGIF(fps, maxSeconds);
+        } else {
+            startVideoRecording(fps);
+        }
+    } catch (err) {
+        setStatus(`unable to record: ${err.message}`);
+        console.log("recording failed", err);
+        return;
+    }
+    // Stop at the maximum length (GIF recordings also stop by themselves,
+    // but only when a frame comes in, which a still image never sends)
+    RECORD_TIMER = setTimeout(stopRecording, maxSeconds * 1000);
+    RECORD_BTN.textContent = "stop";
+    RECORD_FMT.disabled = true;
+    setStatus("recording");
+}
+
+// Stop the recording in progress (it downloads when it's done)
+function stopRecording() {
+    clearTimeout(RECORD_TIMER);
+    RECORD_TIMER = null;
+    if (RECORDING) {
+        RECORDING.stop();
+    }
+}
+
+// Reset the record button once a recording has stopped (by itself, or with
+// stopRecording)
+function recordingStopped() {
+    clearTimeout(RECORD_TIMER);
+    RECORD_TIMER = null;
+    RECORDING = null;
+    RECORD_BTN.textContent = "record";
+    RECORD_FMT.disabled = false;
+}
+
+// Record the output canvas as video with MediaRecorder (WebM where the
+// browser supports it). The canvas stream only gets frames when the canvas
+// changes, so a still image makes a short video.
+function startVideoRecording(fps) {
+    const stream = CANVAS.captureStream(fps);
+    const mimeType = VIDEO_TYPES.find((t) => MediaRecorder.isTypeSupported(t));
+    const recorder = new MediaRecorder(stream, mimeType ? {mimeType} : {});
+    const chunks = [];
+    recorder.addEventListener('dataavailable', function(e) {
+        if (e.data.size > 0) {
+            chunks.push(e.data);
+        }
+    });
+    recorder.addEventListener('stop', function() {
+        stream.getTracks().forEach((t) => t.stop());
+        recordingStopped();
+        const type = recorder.mimeType || "video/webm";
+        const ext = type.startsWith("video/mp4") ? "mp4" : "webm";
+        download(new Blob(chunks, {type}), `webwavecam.${ext}`);
+        setStatus("recording saved");
+    });
+    recorder.start(1000);
+    RECORDING = {stop: () => recorder.stop()};
+}
+
+// Record filtered frames as an animated GIF (2 colours if 1-bit is on). The
+// encoding happens wherever the frames get filtered: in the worker, or here
+// without one.
+function startGIF(fps, maxSeconds) {
+    const onebit = ONEBIT.checked;
+    if (WORKER) {
+        WORKER.postMessage({type: "record", onebit, fps, maxSeconds});
+        RECORDING = {stop: () => WORKER.postMessage({type: "stopRecord"})};
+    } else {
+        GIF_RECORDING = createGIFRecording(onebit, fps, maxSeconds);
+        RECORDING = {stop: finishGIF};
+    }
+}
+
+// Finish the main thread GIF recording and download it
+function finishGIF() {
+    const gif = GIF_RECORDING.finish();
+    GIF_RECORDING = null;
+    gifRecorded(gif);
+}
+
+// Download a finished GIF recording (a Uint8Array, or null if no frames got
+// recorded)
+function gifRecorded(gif) {
+    recordingStopped();
+    if (!gif) {
+        setStatus("nothing recorded");
+        return;
+    }
+    download(new Blob([gif], {type: "image/gif"}), "webwavecam.gif");
+    setStatus("recording saved");
+}
+
 // Add camera on/off event handlers to the camera button
 CAM_BTN.addEventListener('click', function() {
     if(CAM_BTN.classList.contains('on')) {
@@ -522,4 +1295,153 @@ CAM_BTN.addEventListener('click', function() {
     }
 });
 
+// Add camera selection and adjustment event handlers
+CAM_DEVICE.addEventListener('change', function() {
+    saveDevice(CAM_DEVICE.value);
+    restartCamera();
+});
+CAM_FACING.addEventListener('click', function() {
+    FACING = (FACING == "environment") ? "user" : "environment";
+    CAM_FACING.textContent = (FACING == "environment")
+        ? "use front camera" : "use back camera";
+    // Facing picks among the default cameras, so forget any selected camera
+    CAM_DEVICE.value = "";
+    saveDevice("");
+    restartCamera();
+});
+CAM_RES.addEventListener('change', restartCamera);
+CAM_FPS.addEventListener('change', restartCamera);
+for (const e of CAM_ADJUSTERS) {
+    e.addEventListener('input', () => applyAdjustment(e));
+}
+
+// Add file picker and drag and drop event handlers
+FILE.addEventListener('change', function() {
+    if (FILE.files.length > 0) {
+        openFile(FILE.files[0]);
+    }
+    FILE.value = '';    // allow re-opening the same file
+});
+DROP.addEventListener('dragover', function(e) {
+    e.preventDefault();
+    DROP.classList.add('dragover');
+});
+DROP.addEventListener('dragleave', function(e) {
+    DROP.classList.remove('dragover');
+});
+DROP.addEventListener('drop', function(e) {
+    e.preventDefault();
+    DROP.classList.remove('dragover');
+    if (e.dataTransfer.files.length > 0) {
+        openFile(e.dataTransfer.files[0]);
+    }
+});
+
+// Add equalizer reset event handler (sets all gains back to 1)
+EQ_RESET.addEventListener('click', function() {
+    for (const e of EQ_GAINS) {
+        e.value = 1;
+    }
+    EQ_GAINS[0].dispatchEvent(new Event('input'));
+    settingsChanged();
+});
+
+// Add save frame event handler
+SAVE_BTN.addEventListener('click', saveFrame);
+
+// Add record/stop event handler
+RECORD_BTN.addEventListener('click', function() {
+    if (RECORDING) {
+        stopRecording();
+    } else {
+        startRecording();
+    }
+});
+
+// Add histogram show/hide event handler
+SHOW_HIST.addEventListener('change', function() {
+    HISTOGRAM.hidden = !SHOW_HIST.checked;
+    if (SHOW_HIST.checked && (STILL || (FILE_URL && VIDEO.paused))) {
+        renderFrame();
+    }
+});
+
+// The 1-bit bias slider doesn't apply when Otsu picks the threshold
+CONTRAST.addEventListener('input', function() {
+    ONEBITBIAS.disabled = CONTRAST.value == "Otsu";
+});
+
+// Add stats overlay show/hide event handler
+SHOW_STATS.addEventListener('change', function() {
+    STATS_BOX.hidden = !SHOW_STATS.checked;
+    if (SHOW_STATS.checked) {
+        showStats();
+    }
+});
+
+// Add code detection on/off event handler
+DETECT.addEventListener('change', function() {
+    CODES_BOX.hidden = !DETECT.checked;
+    OVERLAY.hidden = !DETECT.checked;
+    resetCodes();
+    if (DETECT.checked && (STILL || (FILE_URL && VIDEO.paused))) {
+        renderFrame();
+    }
+});
+
+// Add video file play/pause and frame stepping event handlers
+PLAY_BTN.addEventListener('click', function() {
+    if (VIDEO.paused) {
+        VIDEO.play().catch((err) => console.log("video.play()", err));
+    } else {
+        VIDEO.pause();
+    }
+});
+STEP_BACK.addEventListener('click', () => stepFrames(-1));
+STEP_FWD.addEventListener('click', () => stepFrames(1));
+VIDEO.addEventListener('play', updateTransport);
+VIDEO.addEventListener('pause', updateTransport);
+// Paused video frames and still images don't get frame callbacks, so redraw
+// them when seeking or when a control changes
+VIDEO.addEventListener('seeked', renderFrame);
+for (const c of CONTROLS) {
+    c.addEventListener('input', function() {
+        if (STILL || (FILE_URL && VIDEO.paused)) {
+            renderFrame();
+        }
+    });
+}
+
+// Add preset and settings file event handlers
+PRESET.addEventListener('change', loadPreset);
+PRESET_SAVE.addEventListener('click', savePreset);
+PRESET_DEL.addEventListener('click', deletePreset);
+SETTINGS_EXPORT.addEventListener('click', exportPresets);
+SETTINGS_IMPORT.addEventListener('click', () => SETTINGS_FILE.click());
+SETTINGS_FILE.addEventListener('change', function() {
+    if (SETTINGS_FILE.files.length > 0) {
+        importPresets(SETTINGS_FILE.files[0]);
+    }
+    SETTINGS_FILE.value = '';    // allow re-importing the same file
+});
+
+// Remember settings when any of the saved controls change ('change' rather
+// than 'input', so dragging a slider doesn't rewrite the address every step)
+for (const c of [...Object.values(SETTING_CONTROLS), ...DN_THRESH,
+    ...EQ_GAINS])
+{
+    c.addEventListener('change', settingsChanged);
+}
+
+// Pick up settings from a link pasted into the address bar of this tab
+window.addEventListener('hashchange', function() {
+    applySettings(settingsFromHash(location.hash));
+    if (STILL || (FILE_URL && VIDEO.paused)) {
+        renderFrame();
+    }
+});
+
+restoreSettings();
+listPresets();
+listCameras();
 setStatus("ready");
@@ -0,0 +1,1019 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free QR code decoder, for browsers without BarcodeDetector. This finds
+// the three finder patterns in a luma frame, maps the code's module grid
+// through a perspective transform (using the bottom right alignment pattern
+// when there is one), reads the format and version info, corrects errors
+// with Reed-Solomon decoding, and decodes the numeric, alphanumeric, byte,
+// and kanji segments. It reads one upright or rotated (but not mirrored) code
+// per frame.
+//
+// The layout tables and rules follow ISO/IEC 18004. See also Project Nayuki's
+// "QR Code generator library", which has a nicely readable encoder.
+
+// Error correction codewords per block, by level (L, M, Q, H) and version
+const ECC_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30,
+        28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+        30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26,
+        26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+        28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28,
+        26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+        30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28,
+        26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+        30, 30, 30, 30],
+];
+
+// Number of error correction blocks, by level (L, M, Q, H) and version
+const ECC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9,
+        10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17,
+        17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47,
+        49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20,
+        23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62,
+        65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25,
+        25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74,
+        77, 81],
+];
+
+// Error correction level index (into the tables above) for the 2 level bits
+// of the format info
+const LEVEL_FROM_BITS = [1, 0, 3, 2];
+
+// Alphanumeric mode character set
+const ALPHANUMERIC = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+
+// Binarizer block size and minimum luma range for a block to count as having
+// contrast of its own
+const BLOCK = 8;
+const MIN_RANGE = 24;
+
+// ---------------------------------------------------------------------------
+// Binarization
+
+// Return a w*h Uint8Array with 1 for dark pixels and 0 for light ones, using
+// a local threshold from the 5x5 neighbourhood of 8x8 blocks around each
+// block. Low contrast blocks borrow their neighbours' threshold, so the
+// insides of big dark or light areas come out right. This is the same idea
+// as ZXing's HybridBinarizer.
+export function binarize(luma, w, h) {
+    const bw = Math.ceil(w / BLOCK);
+    const bh = Math.ceil(h / BLOCK);
+    const black = new Float32Array(bw * bh);
+    for (let by=0; by<bh; by++) {
+        for (let bx=0; bx<bw; bx++) {
+            let min = 255;
+            let max = 0;
+            let sum = 0;
+            let n = 0;
+            const y1 = Math.min(h, (by + 1) * BLOCK);
+            const x1 = Math.min(w, (bx + 1) * BLOCK);
+            for (let y=by*BLOCK; y<y1; y++) {
+                for (let x=bx*BLOCK; x<x1; x++) {
+                    const Y = luma[(y*w)+x];
+                    min = Math.min(min, Y);
+                    max = Math.max(max, Y);
+                    sum += Y;
+                    n++;
+                }
+            }
+            let average = sum / n;
+            if (max - min <= MIN_RANGE) {
+                // Assume a flat block is light unless its neighbours say
+                // otherwise
+                average = min - MIN_RANGE;
+                if (bx > 0 && by > 0) {
+                    const neighbours = (black[((by-1)*bw)+bx]
+                        + (2 * black[(by*bw)+bx-1])
+                        + black[((by-1)*bw)+bx-1]) / 4;
+                    if (min < neighbours) {
+                        average = neighbours;
+                    }
+                }
+            }
+            black[(by*bw)+bx] = average;
+        }
+    }
+    const bits = new Uint8Array(w * h);
+    for (let by=0; by<bh; by++) {
+        for (let bx=0; bx<bw; bx++) {
+            let sum = 0;
+            let n = 0;
+            for (let ny=Math.max(0, by-2); ny<=Math.min(bh-1, by+2); ny++) {
+                for (let nx=Math.max(0, bx-2); nx<=Math.min(bw-1, bx+2); nx++) {
+                    sum += black[(ny*bw)+nx];
+                    n++;
+                }
+            }
+            const threshold = sum / n;
+            const y1 = Math.min(h, (by + 1) * BLOCK);
+            const x1 = Math.min(w, (bx + 1) * BLOCK);
+            for (let y=by*BLOCK; y<y1; y++) {
+                for (let x=bx*BLOCK; x<x1; x++) {
+                    bits[(y*w)+x] = (luma[(y*w)+x] <= threshold) ? 1 : 0;
+                }
+            }
+        }
+    }
+    return bits;
+}
+
+// ---------------------------------------------------------------------------
+// Finder and alignment patterns
+
+// Return true if five run lengths look like a finder pattern (1:1:3:1:1)
+function finderRatio(runs) {
+    const total = runs[0] + runs[1] + runs[2] + runs[3] + runs[4];
+    if (total < 7 || runs.includes(0)) {
+        return false;
+    }
+    const module = total / 7;
+    const slack = module / 2;
+    return Math.abs(module - runs[0]) < slack
+        && Math.abs(module - runs[1]) < slack
+        && Math.abs((3 * module) - runs[2]) < 3 * slack
+        && Math.abs(module - runs[3]) < slack
+        && Math.abs(module - runs[4]) < slack;
+}
+
+// Measure the five runs of a finder pattern through (x, y) along direction
+// (dx, dy). Returns [runs, center offset along the direction] or null.
+function crossCheck(bits, w, h, x, y, dx, dy, maxRun) {
+    const dark = (i) => {
+        const px = x + (dx * i);
+        const py = y + (dy * i);
+        return px >= 0 && py >= 0 && px < w && py < h
+            && bits[(py*w)+px] == 1;
+    };
+    if (!dark(0)) {
+        return null;
+    }
+    const runs = [0, 0, 0, 0, 0];
+    let i = 0;
+    // Backward: center, light, dark
+    while (dark(i) && runs[2] <= maxRun * 3) {
+        runs[2]++;
+        i--;
+    }
+    const inside = (j) => {
+        const px = x + (dx * j);
+        const py = y + (dy * j);
+        return px >= 0 && py >= 0 && px < w && py < h;
+    };
+    while (inside(i) && !dark(i) && runs[1] <= maxRun) {
+        runs[1]++;
+        i--;
+    }
+    while (inside(i) && dark(i) && runs[0] <= maxRun) {
+        runs[0]++;
+        i--;
+    }
+    const start = i + 1;
+    // Forward: rest of center, light, dark
+    i = 1;
+    while (dark(i) && runs[2] <= maxRun * 3) {
+        runs[2]++;
+        i++;
+    }
+    while (inside(i) && !dark(i) && runs[3] <= maxRun) {
+        runs[3]++;
+        i++;
+    }
+    while (inside(i) && dark(i) && runs[4] <= maxRun) {
+        runs[4]++;
+        i++;
+    }
+    if (!finderRatio(runs)) {
+        return null;
+    }
+    const center = start + runs[0] + runs[1] + (runs[2] / 2) - 0.5;
+    return [runs, center];
+}
+
+// Check a horizontal finder pattern candidate at row y ending at x, and add
+// it to the candidate list (merging it with a nearby one if there is one)
+function checkFinder(bits, w, h, runs, x, y, candidates) {
+    const total = runs.reduce((a, b) => a + b, 0);
+    const maxRun = total;
+    let cx = Math.round(x - runs[4] - runs[3] - (runs[2] / 2));
+    const vert = crossCheck(bits, w, h, cx, y, 0, 1, maxRun);
+    if (!vert) {
+        return;
+    }
+    const cy = Math.round(y + vert[1]);
+    const horiz = crossCheck(bits, w, h, cx, cy, 1, 0, maxRun);
+    if (!horiz) {
+        return;
+    }
+    const fx = cx + horiz[1];
+    const fy = cy;
+    const hTotal = horiz[0].reduce((a, b) => a + b, 0);
+    const vTotal = vert[0].reduce((a, b) => a + b, 0);
+    if (Math.abs(hTotal - vTotal) > Math.max(hTotal, vTotal) / 2) {
+        return;
+    }
+    const module = (hTotal + vTotal) / 14;
+    for (const c of candidates) {
+        if (Math.abs(c.x - fx) <= c.module * 2
+            && Math.abs(c.y - fy) <= c.module * 2
+            && Math.abs(c.module - module) <= Math.max(1, c.module / 2))
+        {
+            c.x = ((c.x * c.count) + fx) / (c.count + 1);
+            c.y = ((c.y * c.count) + fy) / (c.count + 1);
+            c.module = ((c.module * c.count) + module) / (c.count + 1);
+            c.count++;
+            return;
+        }
+    }
+    candidates.push({x: fx, y: fy, module, count: 1});
+}
+
+// Return a list of finder pattern candidates as {x, y, module, count}
+function findFinders(bits, w, h) {
+    const candidates = [];
+    for (let y=0; y<h; y++) {
+        const runs = [0, 0, 0, 0, 0];
+        let state = 0;
+        for (let x=0; x<w; x++) {
+            const dark = bits[(y*w)+x] == 1;
+            if (state == 0 && !dark && runs[0] == 0) {
+                continue;
+            }
+            // States 0, 2, 4 count dark runs and 1, 3 count light runs
+            if (dark == ((state & 1) == 0)) {
+                runs[state]++;
+                continue;
+            }
+            if (state < 4) {
+                state++;
+                runs[state] = 1;
+                continue;
+            }
+            // Light pixel after the fifth run
+            if (finderRatio(runs)) {
+                checkFinder(bits, w, h, runs, x, y, candidates);
+            }
+            // Slide the window over by two runs (dark, light)
+            runs[0] = runs[2];
+            runs[1] = runs[3];
+            runs[2] = runs[4];
+            runs[3] = 1;
+            runs[4] = 0;
+            state = 3;
+        }
+        if (state == 4 && finderRatio(runs)) {
+            checkFinder(bits, w, h, runs, w, y, candidates);
+        }
+    }
+    return candidates;
+}
+
+// Return the distance between points a and b
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Pick the three finder patterns most likely to belong to one code, and
+// return them as [topLeft, topRight, bottomLeft], or null
+function pickFinders(candidates) {
+    const list = candidates
+        .filter((c) => c.count >= 2 || candidates.length <= 3)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10);
+    let best = null;
+    let bestScore = Infinity;
+    for (let i=0; i<list.length; i++) {
+        for (let j=i+1; j<list.length; j++) {
+            for (let k=j+1; k<list.length; k++) {
+                const trio = [list[i], list[j], list[k]];
+                const modules = trio.map((c) => c.module);
+                const mMax = Math.max(...modules);
+                const mMin = Math.min(...modules);
+                if (mMax > mMin * 1.6) {
+                    continue;
+                }
+                // Corner of the right angle is opposite the longest side
+                const d = [distance(list[j], list[k]),
+                    distance(list[i], list[k]), distance(list[i], list[j])];
+                const corner = d.indexOf(Math.max(...d));
+                const others = [0, 1, 2].filter((n) => n != corner);
+                const a = d[others[0]];
+                const b = d[others[1]];
+                const hyp = d[corner];
+                if (Math.min(a, b) < mMin * 10) {
+                    continue;
+                }
+                // Legs should be equal and hypotenuse should be sqrt(2) legs
+                const score = (Math.abs(a - b) / Math.max(a, b))
+                    + Math.abs((hyp / Math.hypot(a, b)) - 1);
+                if (score < bestScore && score < 0.5) {
+                    bestScore = score;
+                    best = [trio[corner], trio[others[0]], trio[others[1]]];
+                }
+            }
+        }
+    }
+    if (!best) {
+        return null;
+    }
+    // Order the legs so the code reads top left, top right, bottom left
+    const [tl, p, q] = best;
+    const cross = ((p.x - tl.x) * (q.y - tl.y)) - ((p.y - tl.y) * (q.x - tl.x));
+    return (cross > 0) ? [tl, p, q] : [tl, q, p];
+}
+
+// Look for an alignment pattern (dark module in a light ring in a dark
+// ring) near (ex, ey), and return its center or null
+function findAlignment(bits, w, h, ex, ey, module) {
+    const radius = Math.ceil(module * 5);
+    const x0 = Math.max(0, Math.round(ex - radius));
+    const x1 = Math.min(w - 1, Math.round(ex + radius));
+    const y0 = Math.max(0, Math.round(ey - radius));
+    const y1 = Math.min(h - 1, Math.round(ey + radius));
+    const near = (n) => Math.abs(n - module) < module * 0.7;
+    let best = null;
+    let bestDist = Infinity;
+    for (let y=y0; y<=y1; y++) {
+        let x = x0;
+        while (x <= x1) {
+            // Measure a light, dark, light run triple starting at x
+            if (bits[(y*w)+x] == 1) {
+                x++;
+                continue;
+            }
+            let a = 0;
+            while (x + a <= x1 && bits[(y*w)+x+a] == 0) {
+                a++;
+            }
+            let b = 0;
+            while (x + a + b <= x1 && bits[(y*w)+x+a+b] == 1) {
+                b++;
+            }
+            let c = 0;
+            while (x + a + b + c <= x1 && bits[(y*w)+x+a+b+c] == 0) {
+                c++;
+            }
+            if (near(a) && near(b) && near(c)) {
+                const cx = x + a + ((b - 1) / 2);
+                const found = checkAlignment(bits, w, h, Math.round(cx), y,
+                    near);
+                if (found !== null) {
+                    const p = {x: cx, y: found};
+                    const dist = Math.hypot(p.x - ex, p.y - ey);
+                    if (dist < bestDist) {
+                        best = p;
+                        bestDist = dist;
+                    }
+                }
+            }
+            x += Math.max(1, a);
+        }
+    }
+    return best;
+}
+
+// Check for the light, dark, light runs of an alignment pattern vertically
+// through (x, y), and return the center row or null
+function checkAlignment(bits, w, h, x, y, near) {
+    const dark = (py) => py >= 0 && py < h && bits[(py*w)+x] == 1;
+    const inside = (py) => py >= 0 && py < h;
+    let top = y;
+    while (dark(top - 1)) {
+        top--;
+    }
+    let bottom = y;
+    while (dark(bottom + 1)) {
+        bottom++;
+    }
+    let above = 0;
+    while (inside(top - 1 - above) && !dark(top - 1 - above)) {
+        above++;
+    }
+    let below = 0;
+    while (inside(bottom + 1 + below) && !dark(bottom + 1 + below)) {
+        below++;
+    }
+    if (near(bottom - top + 1) && near(above) && near(below)) {
+        return (top + bottom) / 2;
+    }
+    return null;
+}
+
+// ---------------------------------------------------------------------------
+// Perspective transform
+
+// Return the 3x3 homography (as 9 numbers, row-major, with the last one 1)
+// that maps the four src points to the four dst points
+function homography(src, dst) {
+    // Solve the 8x8 linear system for h0..h7 by Gaussian elimination
+    const a = [];
+    for (let i=0; i<4; i++) {
+        const [x, y] = src[i];
+        const [u, v] = dst[i];
+        a.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+        a.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+    }
+    for (let col=0; col<8; col++) {
+        let pivot = col;
+        for (let row=col+1; row<8; row++) {
+            if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) {
+                pivot = row;
+            }
+        }
+        if (Math.abs(a[pivot][col]) < 1e-12) {
+            return null;
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        for (let row=0; row<8; row++) {
+            if (row == col) {
+                continue;
+            }
+            const f = a[row][col] / a[col][col];
+            for (let k=col; k<9; k++) {
+                a[row][k] -= f * a[col][k];
+            }
+        }
+    }
+    return [...a.map((row, i) => row[8] / row[i]), 1];
+}
+
+// Map point (x, y) through homography m, returning [x, y]
+function project(m, x, y) {
+    const d = (m[6] * x) + (m[7] * y) + m[8];
+    return [((m[0] * x) + (m[1] * y) + m[2]) / d,
+        ((m[3] * x) + (m[4] * y) + m[5]) / d];
+}
+
+// ---------------------------------------------------------------------------
+// Module grid layout
+
+// Return the alignment pattern center positions for a version
+function alignmentPositions(version) {
+    if (version == 1) {
+        return [];
+    }
+    const size = (version * 4) + 17;
+    const count = Math.floor(version / 7) + 2;
+    const step = (version == 32) ? 26
+        : Math.ceil(((version * 4) + 4) / ((count * 2) - 2)) * 2;
+    const positions = [6];
+    for (let pos=size-7; positions.length<count; pos-=step) {
+        positions.splice(1, 0, pos);
+    }
+    return positions;
+}
+
+// Return a size*size Uint8Array with 1 for function pattern modules (finder,
+// separator, timing, alignment, format, and version areas)
+function functionModules(version) {
+    const size = (version * 4) + 17;
+    const fn = new Uint8Array(size * size);
+    const fill = (x0, y0, w, h) => {
+        for (let y=y0; y<y0+h; y++) {
+            for (let x=x0; x<x0+w; x++) {
+                fn[(y*size)+x] = 1;
+            }
+        }
+    };
+    // Finders with separators and format info
+    fill(0, 0, 9, 9);
+    fill(size - 8, 0, 8, 9);
+    fill(0, size - 8, 9, 8);
+    // Timing patterns
+    fill(6, 0, 1, size);
+    fill(0, 6, size, 1);
+    // Alignment patterns (except where they'd overlap the finders)
+    const pos = alignmentPositions(version);
+    const last = pos.length - 1;
+    for (let i=0; i<pos.length; i++) {
+        for (let j=0; j<pos.length; j++) {
+            const corner = (i == 0 && j == 0) || (i == 0 && j == last)
+                || (i == last && j == 0);
+            if (!corner) {
+                fill(pos[i] - 2, pos[j] - 2, 5, 5);
+            }
+        }
+    }
+    // Version info
+    if (version >= 7) {
+        fill(size - 11, 0, 3, 6);
+        fill(0, size - 11, 6, 3);
+    }
+    return fn;
+}
+
+// Return the number of data modules (data and error correction bits) in a
+// code of the given version
+function rawDataModules(version) {
+    let n = (((16 * version) + 128) * version) + 64;
+    if (version >= 2) {
+        const count = Math.floor(version / 7) + 2;
+        n -= (((25 * count) - 10) * count) - 55;
+        if (version >= 7) {
+            n -= 36;
+        }
+    }
+    return n;
+}
+
+// Return true if the data mask pattern flips the module at (x, y)
+function masked(mask, x, y) {
+    switch(mask) {
+    case 0: return (x + y) % 2 == 0;
+    case 1: return y % 2 == 0;
+    case 2: return x % 3 == 0;
+    case 3: return (x + y) % 3 == 0;
+    case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 == 0;
+    case 5: return ((x * y) % 2) + ((x * y) % 3) == 0;
+    case 6: return (((x * y) % 2) + ((x * y) % 3)) % 2 == 0;
+    default: return (((x + y) % 2) + ((x * y) % 3)) % 2 == 0;
+    }
+}
+
+// Return the remainder of data (shifted left by the degree of poly) divided
+// by poly, for the BCH codes of the format and version info
+function bchRemainder(data, poly) {
+    const degree = Math.floor(Math.log2(poly));
+    let rem = data << degree;
+    for (let bit=Math.floor(Math.log2(rem)); bit>=degree; bit--) {
+        if (rem & (1 << bit)) {
+            rem ^= poly << (bit - degree);
+        }
+    }
+    return (data << degree) | rem;
+}
+
+// Return the number of bits that differ between a and b
+function bitDistance(a, b) {
+    let n = 0;
+    for (let x=a^b; x; x&=x-1) {
+        n++;
+    }
+    return n;
+}
+
+// Return {level, mask} from the two copies of the 15 bit format info, or
+// null if neither is close enough to a valid code word
+function readFormat(grid, size) {
+    const bit = (x, y) => grid[(y*size)+x];
+    let first = 0;
+    for (let i=0; i<=5; i++) {
+        first |= bit(8, i) << i;
+    }
+    first |= bit(8, 7) << 6;
+    first |= bit(8, 8) << 7;
+    first |= bit(7, 8) << 8;
+    for (let i=9; i<15; i++) {
+        first |= bit(14 - i, 8) << i;
+    }
+    let second = 0;
+    for (let i=0; i<8; i++) {
+        second |= bit(size - 1 - i, 8) << i;
+    }
+    for (let i=8; i<15; i++) {
+        second |= bit(8, size - 15 + i) << i;
+    }
+    let best = null;
+    let bestDist = 4;
+    for (let data=0; data<32; data++) {
+        const code = bchRemainder(data, 0x537) ^ 0x5412;
+        for (const read of [first, second]) {
+            const dist = bitDistance(code, read);
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = {level: LEVEL_FROM_BITS[data >> 3], mask: data & 7};
+            }
+        }
+    }
+    return best;
+}
+
+// Return the version from the version info blocks (versions 7 and up), or
+// null if neither copy is close enough to a valid code word
+function readVersion(grid, size) {
+    let first = 0;
+    let second = 0;
+    for (let i=0; i<18; i++) {
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        first |= grid[(b*size)+a] << i;
+        second |= grid[(a*size)+b] << i;
+    }
+    let best = null;
+    let bestDist = 4;
+    for (let version=7; version<=40; version++) {
+        const code = bchRemainder(version, 0x1f25);
+        for (const read of [first, second]) {
+            const dist = bitDistance(code, read);
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = version;
+            }
+        }
+    }
+    return best;
+}
+
+// Return the codewords of a module grid, in the order they were placed
+function readCodewords(grid, version, mask) {
+    const size = (version * 4) + 17;
+    const fn = functionModules(version);
+    const codewords = new Uint8Array(rawDataModules(version) >> 3);
+    let i = 0;
+    for (let right=size-1; right>=1; right-=2) {
+        if (right == 6) {
+            right = 5;
+        }
+        const upward = ((right + 1) & 2) == 0;
+        for (let vert=0; vert<size; vert++) {
+            const y = upward ? size - 1 - vert : vert;
+            for (let j=0; j<2; j++) {
+                const x = right - j;
+                if (fn[(y*size)+x] || i >= codewords.length * 8) {
+                    continue;
+                }
+                const bit = grid[(y*size)+x] ^ (masked(mask, x, y) ? 1 : 0);
+                codewords[i >> 3] |= bit << (7 - (i & 7));
+                i++;
+            }
+        }
+    }
+    return codewords;
+}
+
+// ---------------------------------------------------------------------------
+// Reed-Solomon error correction over GF(256) with polynomial 0x11d
+
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+{
+    let x = 1;
+    for (let i=0; i<255; i++) {
+        EXP[i] = x;
+        LOG[x] = i;
+        x <<= 1;
+        if (x & 0x100) {
+            x ^= 0x11d;
+        }
+    }
+    for (let i=255; i<512; i++) {
+        EXP[i] = EXP[i - 255];
+    }
+}
+
+// Multiply two field elements
+function gfMul(a, b) {
+    return (a == 0 || b == 0) ? 0 : EXP[LOG[a] + LOG[b]];
+}
+
+// Divide field element a by b (b must not be 0)
+function gfDiv(a, b) {
+    return (a == 0) ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+}
+
+// Evaluate a polynomial (coefficients lowest degree first) at x
+function polyEval(poly, x) {
+    let y = 0;
+    for (let i=poly.length-1; i>=0; i--) {
+        y = gfMul(y, x) ^ poly[i];
+    }
+    return y;
+}
+
+// Correct a block (data then error correction codewords) in-place. Returns
+// false if there are too many errors to fix.
+export function correctErrors(block, eccLen) {
+    const n = block.length;
+    // Syndromes S_j = r(a^j); block[0] is the highest degree coefficient
+    const syndromes = new Uint8Array(eccLen);
+    let clean = true;
+    for (let j=0; j<eccLen; j++) {
+        let s = 0;
+        for (let k=0; k<n; k++) {
+            s = gfMul(s, EXP[j]) ^ block[k];
+        }
+        syndromes[j] = s;
+        clean = clean && s == 0;
+    }
+    if (clean) {
+        return true;
+    }
+    // Berlekamp-Massey for the error locator polynomial (lowest degree first)
+    let locator = [1];
+    let prev = [1];
+    let errors = 0;
+    let shift = 1;
+    let prevDiscrepancy = 1;
+    for (let k=0; k<eccLen; k++) {
+        let d = syndromes[k];
+        for (let i=1; i<=errors; i++) {
+            d ^= gfMul(locator[i] || 0, syndromes[k - i]);
+        }
+        if (d == 0) {
+            shift++;
+            continue;
+        }
+        const scale = gfDiv(d, prevDiscrepancy);
+        const next = locator.slice();
+        for (let i=0; i<prev.length; i++) {
+            next[i + shift] = (next[i + shift] || 0) ^ gfMul(scale, prev[i]);
+        }
+        if (2 * errors <= k) {
+            prev = locator;
+            errors = k + 1 - errors;
+            prevDiscrepancy = d;
+            shift = 1;
+        } else {
+            shift++;
+        }
+        locator = next;
+    }
+    if (2 * errors > eccLen) {
+        return false;
+    }
+    // Chien search: error at degree p if locator(a^-p) == 0
+    const positions = [];
+    for (let p=0; p<n; p++) {
+        if (polyEval(locator, EXP[(255 - p) % 255]) == 0) {
+            positions.push(p);
+        }
+    }
+    if (positions.length != errors) {
+        return false;
+    }
+    // Forney: error value e = X * omega(X^-1) / locator'(X^-1), where
+    // omega = syndromes * locator mod x^eccLen
+    const omega = new Uint8Array(eccLen);
+    for (let i=0; i<eccLen; i++) {
+        let v = 0;
+        for (let j=0; j<=i && j<locator.length; j++) {
+            v ^= gfMul(locator[j] || 0, syndromes[i - j]);
+        }
+        omega[i] = v;
+    }
+    for (const p of positions) {
+        const x = EXP[p];
+        const xInv = EXP[(255 - p) % 255];
+        // Formal derivative keeps the odd degree terms
+        let deriv = 0;
+        for (let i=1; i<locator.length; i+=2) {
+            deriv ^= gfMul(locator[i] || 0, EXP[(LOG[xInv] * (i - 1)) % 255]);
+        }
+        if (deriv == 0) {
+            return false;
+        }
+        const e = gfMul(x, gfDiv(polyEval(omega, xInv), deriv));
+        block[n - 1 - p] ^= e;
+    }
+    return true;
+}
+
+// Return the data codewords of a code after deinterleaving its blocks and
+// correcting errors, or null if that fails
+function correctCodewords(codewords, version, level) {
+    const numBlocks = ECC_BLOCKS[level][version];
+    const eccLen = ECC_PER_BLOCK[level][version];
+    const raw = codewords.length;
+    const numShort = numBlocks - (raw % numBlocks);
+    const shortLen = Math.floor(raw / numBlocks);
+    const blocks = [];
+    for (let b=0; b<numBlocks; b++) {
+        blocks.push(new Uint8Array(shortLen + ((b < numShort) ? 0 : 1)));
+    }
+    // Data codewords are interleaved first, then error correction ones. Long
+    // blocks have one more data codeword than short ones.
+    let k = 0;
+    const dataShort = shortLen - eccLen;
+    for (let i=0; i<=dataShort; i++) {
+        for (let b=0; b<numBlocks; b++) {
+            if (i < dataShort || b >= numShort) {
+                blocks[b][i] = codewords[k++];
+            }
+        }
+    }
+    for (let i=0; i<eccLen; i++) {
+        for (let b=0; b<numBlocks; b++) {
+            blocks[b][blocks[b].length - eccLen + i] = codewords[k++];
+        }
+    }
+    const data = [];
+    for (const block of blocks) {
+        if (!correctErrors(block, eccLen)) {
+            return null;
+        }
+        data.push(...block.subarray(0, block.length - eccLen));
+    }
+    return data;
+}
+
+// ---------------------------------------------------------------------------
+// Segment decoding
+
+// Return a bit reader for an array of bytes
+function bitReader(bytes) {
+    let pos = 0;
+    return {
+        left: () => (bytes.length * 8) - pos,
+        read(n) {
+            let v = 0;
+            for (let i=0; i<n; i++) {
+                const bit = (bytes[pos >> 3] >> (7 - (pos & 7))) & 1;
+                v = (v << 1) | bit;
+                pos++;
+            }
+            return v;
+        },
+    };
+}
+
+// Return text decoded from bytes with a TextDecoder for label, or as Latin-1
+// if the decoder isn't available
+function decodeBytes(bytes, label) {
+    try {
+        return new TextDecoder(label).decode(new Uint8Array(bytes));
+    } catch (err) {
+        return String.fromCharCode(...bytes);
+    }
+}
+
+// Return the text of the data codewords, or null if they don't parse
+function decodeSegments(data, version) {
+    const r = bitReader(data);
+    const group = (version <= 9) ? 0 : ((version <= 26) ? 1 : 2);
+    let text = "";
+    let bytes = [];
+    const flushBytes = () => {
+        if (bytes.length > 0) {
+            text += decodeBytes(bytes, "utf-8");
+            bytes = [];
+        }
+    };
+    while (r.left() >= 4) {
+        const mode = r.read(4);
+        if (mode == 0) {
+            break;
+        }
+        if (mode == 7) {
+            // ECI designator: bytes stay UTF-8 (the common case)
+            const first = r.read(8);
+            if ((first & 0x80) != 0) {
+                r.read(((first & 0xc0) == 0xc0) ? 16 : 8);
+            }
+            continue;
+        }
+        const countBits = {1: [10, 12, 14], 2: [9, 11, 13], 4: [8, 16, 16],
+            8: [8, 10, 12]}[mode];
+        if (!countBits) {
+            return null;
+        }
+        const count = r.read(countBits[group]);
+        if (mode != 4) {
+            flushBytes();
+        }
+        switch(mode) {
+        case 1:
+            for (let i=0; i<count; i+=3) {
+                const digits = Math.min(3, count - i);
+                const v = r.read([0, 4, 7, 10][digits]);
+                text += String(v).padStart(digits, "0");
+            }
+            break;
+        case 2:
+            for (let i=0; i<count; i+=2) {
+                if (count - i >= 2) {
+                    const v = r.read(11);
+                    text += ALPHANUMERIC[Math.floor(v / 45)]
+                        + ALPHANUMERIC[v % 45];
+                } else {
+                    text += ALPHANUMERIC[r.read(6)];
+                }
+            }
+            break;
+        case 4:
+            for (let i=0; i<count; i++) {
+                bytes.push(r.read(8));
+            }
+            break;
+        case 8: {
+            // Kanji: 13 bits per character, packed from Shift JIS
+            const sjis = [];
+            for (let i=0; i<count; i++) {
+                const v = r.read(13);
+                let c = (Math.floor(v / 0xc0) << 8) | (v % 0xc0);
+                c += (c < 0x1f00) ? 0x8140 : 0xc140;
+                sjis.push(c >> 8, c & 0xff);
+            }
+            text += decodeBytes(sjis, "shift_jis");
+            break;
+        }
+        }
+        if (r.left() < 0) {
+            return null;
+        }
+    }
+    flushBytes();
+    return text;
+}
+
+// ---------------------------------------------------------------------------
+// Decoder
+
+// Sample the module grid of a code with the given number of modules per
+// side, through homography m from module space to the frame
+function sampleGrid(bits, w, h, m, size) {
+    const grid = new Uint8Array(size * size);
+    for (let y=0; y<size; y++) {
+        for (let x=0; x<size; x++) {
+            const [px, py] = project(m, x + 0.5, y + 0.5);
+            const ix = Math.round(px);
+            const iy = Math.round(py);
+            if (ix >= 0 && iy >= 0 && ix < w && iy < h) {
+                grid[(y*size)+x] = bits[(iy*w)+ix];
+            }
+        }
+    }
+    return grid;
+}
+
+// Decode a sampled module grid, returning the text or null
+function decodeGrid(grid, size) {
+    let version = (size - 17) / 4;
+    if (version >= 7) {
+        version = readVersion(grid, size) || version;
+        if ((version * 4) + 17 != size) {
+            return null;
+        }
+    }
+    const format = readFormat(grid, size);
+    if (!format) {
+        return null;
+    }
+    const codewords = readCodewords(grid, version, format.mask);
+    const data = correctCodewords(codewords, version, format.level);
+    return data ? decodeSegments(data, version) : null;
+}
+
+// Find and decode a QR code in a w*h luma frame. Returns a list with at most
+// one result shaped like BarcodeDetector's: {rawValue, format, cornerPoints},
+// where cornerPoints are the code's outer corners ({x, y} in frame pixels,
+// clockwise from top left).
+export function decodeQR(luma, w, h) {
+    const bits = binarize(luma, w, h);
+    const finders = pickFinders(findFinders(bits, w, h));
+    if (!finders) {
+        return [];
+    }
+    const [tl, tr, bl] = finders;
+    const module = (tl.module + tr.module + bl.module) / 3;
+    const across = (distance(tl, tr) + distance(tl, bl)) / (2 * module);
+    // Snap to a valid size (17 + 4 * version)
+    const estimate = Math.round((across + 7 - 17) / 4);
+    // Try the estimated version first, then its neighbours
+    for (const version of [estimate, estimate + 1, estimate - 1]) {
+        if (version < 1 || version > 40) {
+            continue;
+        }
+        const size = (version * 4) + 17;
+        const src = [[3.5, 3.5], [size - 3.5, 3.5], [3.5, size - 3.5]];
+        const dst = [[tl.x, tl.y], [tr.x, tr.y], [bl.x, bl.y]];
+        // Fourth point: the alignment pattern if there is one, or else the
+        // corner that completes the parallelogram
+        let br = null;
+        if (version >= 2) {
+            const t = (size - 10) / (size - 7);
+            const ex = tl.x + ((tr.x - tl.x) * t) + ((bl.x - tl.x) * t);
+            const ey = tl.y + ((tr.y - tl.y) * t) + ((bl.y - tl.y) * t);
+            br = findAlignment(bits, w, h, ex, ey, module);
+            if (br) {
+                src.push([size - 6.5, size - 6.5]);
+                dst.push([br.x, br.y]);
+            }
+        }
+        if (!br) {
+            src.push([size - 3.5, size - 3.5]);
+            dst.push([tr.x + bl.x - tl.x, tr.y + bl.y - tl.y]);
+        }
+        const m = homography(src, dst);
+        if (!m) {
+            continue;
+        }
+        const text = decodeGrid(sampleGrid(bits, w, h, m, size), size);
+        if (text !== null) {
+            const cornerPoints = [[0, 0], [size, 0], [size, size], [0, size]]
+                .map(([x, y]) => {
+                    const [px, py] = project(m, x, y);
+                    return {x: px, y: py};
+                });
+            return [{rawValue: text, format: "qr_code", cornerPoints}];
+        }
+    }
+    return [];
+}
@@ -0,0 +1,88 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Render one filtered frame to a canvas. This works with the 2D context of
+// either a regular canvas (main thread fallback) or an OffscreenCanvas (in
+// worker.js), and the source can be anything drawImage accepts (video
+// element, image, ImageBitmap, VideoFrame).
+
+import { scratch } from './buffers.js';
+import { noLap, stageTimer } from './stats.js';
+import {
+    resolveOptions, lumaFrom, expandIntoRGBA, processFrame,
+    visualizeCoefficients,
+} from './filters.js';
+import { maxLevels } from './wavelets.js';
+import { drawSubbandLabels } from './coefview.js';
+import { processColorFrame } from './color.js';
+
+// Return true if options ask for the coefficient view instead of the filter
+// chain output
+export function showsCoefficients(options) {
+    return options.transform != "None" && !options.invWave
+        && options.coefView != "Raw";
+}
+
+// Filter a w*h frame of RGBA pixels in-place: run the filter chain (in mono
+// or colour), or replace the pixels with the coefficient view. This is the
+// DOM-free part of renderFrame, which the command line tool (cli.js) uses too,
+// so both give the same pixels. See renderFrame for lap, report, keepRaw, and
+// the return value.
+export function filterPixels(rgba, w, h, options, lap = noLap, report = null,
+    keepRaw = false)
+{
+    options = resolveOptions(options);
+    const raw = keepRaw ? lumaFrom(rgba, scratch("rawLuma", Uint8Array, w * h))
+        : null;
+    if (options.colorMode != "Mono" && !showsCoefficients(options)) {
+        const luma = processColorFrame(rgba, w, h, options, lap, report);
+        return {luma, raw, w, h, onebit: options.onebit};
+    }
+    const luma = lumaFrom(rgba, scratch("luma", Uint8Array, w * h));
+    lap("luma");
+    if (showsCoefficients(options)) {
+        // Show coefficients instead of running the rest of the filter chain
+        visualizeCoefficients(luma, w, h, options, rgba, lap);
+        return {luma: lumaFrom(rgba, luma), raw, w, h, onebit: false};
+    }
+    processFrame(luma, w, h, options, lap, report);
+    // Write the luma values back as RGBA pixels
+    expandIntoRGBA(luma, rgba);
+    return {luma, raw, w, h, onebit: options.onebit};
+}
+
+// Draw the crop = [sx, sy, sw, sh] region of source scaled to w*h, filter it,
+// and draw the result. Returns the filtered frame as {luma, raw, w, h, onebit}
+// (luma is a scratch buffer, so copy it if you need to keep it). If timings
+// is an object, the milliseconds spent in each stage get added to it. If
+// report is an object, it gets the auto-contrast histogram and cutoffs (see
+// processFrame). If keepRaw is true, the result also has the unfiltered luma
+// as raw (another scratch buffer), for comparing code detection.
+export function renderFrame(ctx, source, crop, w, h, options, timings,
+    report, keepRaw = false)
+{
+    options = resolveOptions(options);
+    const lap = timings ? stageTimer(timings) : noLap;
+    const canvas = ctx.canvas;
+    if (canvas.width != w || canvas.height != h) {
+        canvas.width = w;
+        canvas.height = h;
+    } else {
+        ctx.clearRect(0, 0, w, h);
+    }
+    ctx.drawImage(source, crop[0], crop[1], crop[2], crop[3], 0, 0, w, h);
+    // Apply filter to the pixels of the canvas
+    // getImageData returns RGBA Uint8ClampedArray of pixels in row-major order
+    const imageData = ctx.getImageData(0, 0, w, h);
+    lap("draw");
+    const frame = filterPixels(imageData.data, w, h, options, lap, report,
+        keepRaw);
+    ctx.putImageData(imageData, 0, 0);
+    if (showsCoefficients(options) && options.coefGrid) {
+        const levels = Math.min(options.levels, maxLevels(w, h));
+        drawSubbandLabels(ctx, w, h, levels);
+    }
+    lap("output");
+    return frame;
+}
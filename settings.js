@@ -0,0 +1,193 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free settings serialization: the filter options plus the other page
+// controls, as URL hash parameters (for sharing a link) or JSON (for
+// localStorage and preset files), and the built-in presets. Anything read
+// back gets checked against the defaults, so a stale or hand-edited link
+// can't put a control into a state it doesn't have. main.js has the UI.
+
+import { DEFAULT_OPTIONS } from './filters.js';
+
+// Page controls that get saved along with the filter options
+export const DEFAULT_UI = Object.freeze({
+    size: "300x300",        // Output size select ("WxH" or "full")
+    showHistogram: false,   // Show the auto-contrast histogram?
+    showStats: false,       // Show the performance stats overlay?
+    detect: false,          // Detect barcodes and QR codes?
+    saveFormat: "PNG",      // Save frame file format
+    recordFormat: "WebM",   // Recording format: "WebM" or "GIF"
+    recordFps: 10,          // Recording frame rate
+    recordMax: 10,          // Recording maximum length (seconds)
+});
+
+// Every setting with its default value
+export const DEFAULT_SETTINGS = Object.freeze({...DEFAULT_OPTIONS,
+    ...DEFAULT_UI});
+
+// Built-in presets (settings that differ from the defaults)
+export const BUILTIN_PRESETS = Object.freeze({
+    "thermal receipt": {
+        size: "480x480",
+        transform: "Haar",
+        levels: 5,
+        squash: true,
+        sqbias: 170,
+        contrast: "Percentile",
+        onebit: true,
+        dither: "Atkinson",
+        saveFormat: "EscPos384",
+    },
+    "QR in low light": {
+        transform: "Haar",
+        denoise: "Soft",
+        denoiseAuto: "BayesShrink",
+        temporal: "EMA",
+        temporalStrength: 0.6,
+        contrast: "Otsu",
+        onebit: true,
+        detect: true,
+    },
+    "coefficient viewer": {
+        transform: "CDF97",
+        levels: 4,
+        invWave: false,
+        squash: false,
+        coefView: "Diverging",
+        coefScale: "Log",
+        coefGrid: true,
+        onebit: false,
+        contrast: "None",
+    },
+});
+
+// Identifies exported settings files
+const FILE_FORMAT = "webwavecam-settings";
+const FILE_VERSION = 1;
+
+// Return true if value has the same shape as the default value: the same
+// type, and for arrays, the same length with matching elements
+function sameShape(value, def) {
+    if (Array.isArray(def)) {
+        return Array.isArray(value) && value.length == def.length
+            && value.every((v, i) => sameShape(v, def[i]));
+    }
+    if (typeof def == "number") {
+        return typeof value == "number" && Number.isFinite(value);
+    }
+    return typeof value == typeof def;
+}
+
+// Return a copy of settings with only the known keys whose values have the
+// right shape (anything else gets dropped)
+export function cleanSettings(settings) {
+    const clean = {};
+    if (!settings || typeof settings != "object") {
+        return clean;
+    }
+    for (const [key, def] of Object.entries(DEFAULT_SETTINGS)) {
+        if (key in settings && sameShape(settings[key], def)) {
+            clean[key] = settings[key];
+        }
+    }
+    return clean;
+}
+
+// Return a copy of a set of named presets ({name: settings}) with each
+// preset cleaned by cleanSettings (anything that isn't an object gives no
+// presets)
+export function cleanPresets(presets) {
+    const clean = {};
+    if (!presets || typeof presets != "object") {
+        return clean;
+    }
+    for (const [name, settings] of Object.entries(presets)) {
+        clean[name] = cleanSettings(settings);
+    }
+    return clean;
+}
+
+// Return the settings that differ from the defaults
+export function changedSettings(settings) {
+    const changed = {};
+    for (const [key, value] of Object.entries(cleanSettings(settings))) {
+        if (JSON.stringify(value) != JSON.stringify(DEFAULT_SETTINGS[key])) {
+            changed[key] = value;
+        }
+    }
+    return changed;
+}
+
+// Return a URL hash ("#key=value&...") for the settings that differ from
+// the defaults, or "" if none do. String values are written as is, and the
+// rest as JSON, so links stay readable (e.g. "#transform=Haar&levels=3").
+export function settingsToHash(settings) {
+    const params = [];
+    for (const [key, value] of Object.entries(changedSettings(settings))) {
+        const text = (typeof value == "string") ? value : JSON.stringify(value);
+        // Brackets and commas are fine in a hash, and easier to read as is
+        const escaped = encodeURIComponent(text)
+            .replace(/%5B/g, "[").replace(/%5D/g, "]").replace(/%2C/g, ",");
+        params.push(`${key}=${escaped}`);
+    }
+    return (params.length > 0) ? `#${params.join("&")}` : "";
+}
+
+// Return the settings in a URL hash made by settingsToHash (unknown keys and
+// bad values get dropped)
+export function settingsFromHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ""));
+    const settings = {};
+    for (const [key, text] of params) {
+        if (!(key in DEFAULT_SETTINGS)) {
+            continue;
+        }
+        if (typeof DEFAULT_SETTINGS[key] == "string") {
+            settings[key] = text;
+            continue;
+        }
+        try {
+            settings[key] = JSON.parse(text);
+        } catch (err) {
+            // ignore, cleanSettings can't use it anyway
+        }
+    }
+    return cleanSettings(settings);
+}
+
+// Return a settings file (JSON text) with the current settings and a set of
+// named presets ({name: settings}). Only the changed settings get written.
+export function exportSettings(current, presets) {
+    const named = {};
+    for (const [name, settings] of Object.entries(presets)) {
+        named[name] = changedSettings(settings);
+    }
+    return JSON.stringify({
+        format: FILE_FORMAT,
+        version: FILE_VERSION,
+        current: changedSettings(current),
+        presets: named,
+    }, null, 2);
+}
+
+// Parse a settings file from exportSettings, returning {current, presets}
+// (current is null if the file has none). Throws an Error if the text isn't
+// a settings file.
+export function importSettings(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error("not a JSON file");
+    }
+    if (!data || data.format != FILE_FORMAT) {
+        throw new Error("not a settings file");
+    }
+    if (data.version > FILE_VERSION) {
+        throw new Error(`unsupported settings version ${data.version}`);
+    }
+    const presets = cleanPresets(data.presets);
+    const current = data.current ? cleanSettings(data.current) : null;
+    return {current, presets};
+}
@@ -0,0 +1,85 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free frame rate and stage timing stats for the performance overlay.
+// Stage timings come from a lap timer that gets passed down through the
+// filter chain, so each stage can be timed without knowing who's listening.
+
+// Frame rates are averaged over a sliding window this long (ms)
+const FPS_WINDOW = 1000;
+
+// Smoothing factor for the exponential moving average of stage timings
+const EMA_ALPHA = 0.1;
+
+// Lap timer that does nothing, for when nobody wants timings
+export function noLap(stage) {
+}
+
+// Return a lap timer function. Each lap(stage) call adds the milliseconds
+// since the previous lap (or since the timer was made) to timings[stage].
+export function stageTimer(timings) {
+    let t = performance.now();
+    return function lap(stage) {
+        const now = performance.now();
+        timings[stage] = (timings[stage] || 0) + (now - t);
+        t = now;
+    };
+}
+
+// Return a new stats object: timestamps of recent input and processed
+// frames, count of dropped frames, and smoothed stage timings in ms
+export function createStats() {
+    return {input: [], processed: [], dropped: 0, timings: {}};
+}
+
+// Add n frames at time now (ms) to a list of frame timestamps, and forget
+// the ones that have fallen out of the averaging window
+export function countFrames(times, now, n = 1) {
+    for (let i=0; i<n; i++) {
+        times.push(now);
+    }
+    while (times.length > 0 && times[0] <= now - FPS_WINDOW) {
+        times.shift();
+    }
+}
+
+// Return the frame rate of a list of frame timestamps at time now (ms)
+export function framesPerSecond(times, now) {
+    let n = 0;
+    for (const t of times) {
+        n += (t > now - FPS_WINDOW) ? 1 : 0;
+    }
+    return n * 1000 / FPS_WINDOW;
+}
+
+// Mix the stage timings of one frame into the smoothed timings. Stages that
+// didn't run for this frame get dropped, so a stage that was switched off
+// doesn't linger in the overlay.
+export function addTimings(stats, timings) {
+    const smoothed = {};
+    for (const [stage, ms] of Object.entries(timings)) {
+        const old = stats.timings[stage];
+        smoothed[stage] = (old === undefined) ? ms
+            : old + (EMA_ALPHA * (ms - old));
+    }
+    stats.timings = smoothed;
+}
+
+// Return the stats as lines of text for the overlay. label describes the
+// frame scheduler and where frames get processed.
+export function formatStats(stats, now, label) {
+    const lines = [
+        label,
+        `input   ${framesPerSecond(stats.input, now).toFixed(1)} fps`,
+        `output  ${framesPerSecond(stats.processed, now).toFixed(1)} fps`,
+        `dropped ${stats.dropped}`,
+    ];
+    let total = 0;
+    for (const [stage, ms] of Object.entries(stats.timings)) {
+        lines.push(`${stage.padEnd(12)} ${ms.toFixed(2).padStart(6)} ms`);
+        total += ms;
+    }
+    lines.push(`${"total".padEnd(12)} ${total.toFixed(2).padStart(6)} ms`);
+    return lines.join("\n");
+}
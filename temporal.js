@@ -0,0 +1,228 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free temporal filtering across frames: noise reduction by averaging
+// frames (exponential moving average or a ring buffer of recent frames), a
+// motion view of the difference from that average, and holding the output
+// still while the input is stable.
+//
+// Unlike the other stages, these keep state between frames. Each history
+// (pixels, coefficients, stability) is kept here by key, like the scratch
+// buffers, and starts over when the frame size or settings change.
+
+import { scratch } from './buffers.js';
+import { storageFor, levelSizes } from './wavelets.js';
+
+// Temporal filter modes for options.temporal
+export const TEMPORAL_MODES = ["None", "EMA", "Ring"];
+
+// Most frames the ring buffer holds (at strength 1)
+const MAX_RING = 8;
+
+// Motion view gain for the difference from the average
+const MOTION_GAIN = 4;
+
+// Input is stable when the mean absolute difference from the previous frame
+// stays below FREEZE_DIFF luma levels for FREEZE_FRAMES frames in a row
+const FREEZE_DIFF = 2;
+const FREEZE_FRAMES = 8;
+
+// Frame histories by key
+const STATE = new Map();
+
+// Forget all frame histories (e.g. when switching to a different source)
+export function resetTemporal() {
+    STATE.clear();
+}
+
+// Return the number of frames in the ring buffer for a strength of 0..1
+function ringSize(strength) {
+    return 1 + Math.round(strength * (MAX_RING - 1));
+}
+
+// Return the averaging history for key, starting over if the frame length or
+// the settings changed. mode is "EMA" or "Ring".
+function averageState(key, n, mode, strength) {
+    const size = (mode == "Ring") ? ringSize(strength) : 1;
+    let st = STATE.get(key);
+    if (!st || st.n != n || st.mode != mode || st.size != size) {
+        st = {
+            n,
+            mode,
+            size,
+            frames: 0,
+            avg: new Float32Array(n),   // EMA average, or ring buffer sum
+            ring: (mode == "Ring")
+                ? Array.from({length: size}, () => new Float32Array(n)) : [],
+            next: 0,
+        };
+        STATE.set(key, st);
+    }
+    return st;
+}
+
+// Return the current average of history st at index i
+function averageAt(st, i) {
+    if (st.mode == "EMA") {
+        return st.avg[i];
+    }
+    return st.avg[i] / Math.max(1, Math.min(st.frames, st.size));
+}
+
+// Mix a frame into history st. Values get read with get(i) and the averages
+// written back with set(i, v). strength (0..1) is the EMA weight of the old
+// average (ring buffers get their size from it instead).
+function mixFrame(st, get, set, strength) {
+    if (st.mode == "EMA") {
+        const keep = (st.frames == 0) ? 0 : strength;
+        for (let i=0; i<st.n; i++) {
+            const v = get(i);
+            st.avg[i] = v + (keep * (st.avg[i] - v));
+            set(i, st.avg[i]);
+        }
+    } else {
+        const slot = st.ring[st.next];
+        const count = Math.min(st.frames + 1, st.size);
+        for (let i=0; i<st.n; i++) {
+            const v = get(i);
+            st.avg[i] += v - slot[i];
+            slot[i] = v;
+            set(i, st.avg[i] / count);
+        }
+        st.next = (st.next + 1) % st.size;
+    }
+    st.frames++;
+}
+
+// Average luma pixels with the previous frames in-place. options.temporal
+// is "EMA" or "Ring", and options.temporalStrength (0..1) sets how much the
+// previous frames count.
+export function temporalPixels(luma, options) {
+    const st = averageState("pixels", luma.length, options.temporal,
+        options.temporalStrength);
+    mixFrame(st, (i) => luma[i], (i, v) => {
+        luma[i] = Math.round(v);
+    }, options.temporalStrength);
+}
+
+// Return true if coefficient i of a w*h frame is a signed detail, which is
+// everything outside the top left llCols*llRows approximation band
+function isDetail(i, w, llCols, llRows) {
+    return (i % w) >= llCols || Math.floor(i / w) >= llRows;
+}
+
+// Average wavelet coefficients (of a w*h frame with the given number of
+// levels) with the previous frames in-place, like temporalPixels. The
+// averaging works on coefficient values, so lo-fi signed details don't wrap.
+export function temporalCoefficients(w, h, levels, coef, options) {
+    const {load, store} = storageFor(coef);
+    const [llCols, llRows] = levelSizes(w, h, levels + 1)[levels];
+    const st = averageState(`coef_${levels}`, coef.length, options.temporal,
+        options.temporalStrength);
+    mixFrame(st, (i) => load(coef[i], isDetail(i, w, llCols, llRows)),
+        (i, v) => {
+            coef[i] = store(v, isDetail(i, w, llCols, llRows));
+        }, options.temporalStrength);
+}
+
+// Replace luma with the amplified difference between it and the average of
+// the previous frames (the same pixel history as temporalPixels), then mix
+// it into the average. Without a temporal mode, this uses an EMA.
+export function motionView(luma, options) {
+    const mode = (options.temporal == "None") ? "EMA" : options.temporal;
+    const st = averageState("pixels", luma.length, mode,
+        options.temporalStrength);
+    const first = st.frames == 0;
+    const diff = scratch("motionDiff", Float32Array, luma.length);
+    for (let i=0; i<luma.length; i++) {
+        diff[i] = first ? 0 : Math.abs(luma[i] - averageAt(st, i));
+    }
+    mixFrame(st, (i) => luma[i], () => {}, options.temporalStrength);
+    for (let i=0; i<luma.length; i++) {
+        luma[i] = Math.min(255, Math.round(diff[i] * MOTION_GAIN));
+    }
+}
+
+// Return true if option values a and b are the same, comparing arrays (like
+// eqGains) element by element
+function sameOption(a, b) {
+    if (!Array.isArray(a)) {
+        return a === b;
+    }
+    if (!Array.isArray(b) || a.length != b.length) {
+        return false;
+    }
+    for (let i=0; i<a.length; i++) {
+        if (!sameOption(a[i], b[i])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Return true if any filter option differs from the ones in settings
+function optionsChanged(settings, options) {
+    for (const key in settings) {
+        if (!sameOption(settings[key], options[key])) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Check whether the input is stable, for options.freezeStable. If it has
+// been stable long enough and there's a held output frame (see holdFrame),
+// copy that into luma and return true. Otherwise return false, and the
+// frame should get processed as usual. Changing any other option counts as
+// a change, so a still image re-renders when the controls move. Colour
+// frames pass their chroma planes too, which get held along with luma (only
+// luma counts for stability).
+export function frozenFrame(luma, options, chroma = []) {
+    let st = STATE.get("freeze");
+    if (!st || st.prev.length != luma.length
+        || st.held.length != chroma.length + 1
+        || optionsChanged(st.settings, options))
+    {
+        st = {
+            prev: new Uint8Array(luma.length),
+            held: [luma, ...chroma].map(() => new Uint8Array(luma.length)),
+            hasHeld: false,
+            stable: 0,
+            settings: structuredClone(options),
+        };
+        STATE.set("freeze", st);
+        st.prev.set(luma);
+        return false;
+    }
+    let sum = 0;
+    for (let i=0; i<luma.length; i++) {
+        sum += Math.abs(luma[i] - st.prev[i]);
+    }
+    st.prev.set(luma);
+    if (sum / luma.length < FREEZE_DIFF) {
+        st.stable++;
+    } else {
+        st.stable = 0;
+    }
+    if (st.stable >= FREEZE_FRAMES && st.hasHeld) {
+        luma.set(st.held[0]);
+        chroma.forEach((plane, i) => plane.set(st.held[i+1]));
+        return true;
+    }
+    return false;
+}
+
+// Keep a copy of a processed output frame (and its chroma planes, if it's a
+// colour frame), which frozenFrame shows once the input has been stable for
+// a while
+export function holdFrame(luma, chroma = []) {
+    const st = STATE.get("freeze");
+    if (st && st.prev.length == luma.length
+        && st.held.length == chroma.length + 1)
+    {
+        st.held[0].set(luma);
+        chroma.forEach((plane, i) => st.held[i+1].set(plane));
+        st.hasHeld = true;
+    }
+}
@@ -0,0 +1,134 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Tests for the command line tool's argument checks and output planning
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import {
+    mkdtempSync, mkdirSync, readFileSync, writeFileSync, rmSync,
+} from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs, planOutputs } from '../cli.js';
+import { encodePGM } from '../encode.js';
+import { encodePNG } from '../imagefile.js';
+import { lumaImage, sceneRGBA } from './synthetic.js';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+let dir;
+
+before(() => {
+    dir = mkdtempSync(join(tmpdir(), "webwavecam-"));
+    writeFileSync(join(dir, "in.png"), encodePNG(sceneRGBA(16, 12), 16, 12));
+    writeFileSync(join(dir, "in.ppm"),
+        encodePGM(lumaImage(16, 12, (x) => x * 16), 16, 12));
+    mkdirSync(join(dir, "out"));
+});
+
+after(() => {
+    rmSync(dir, {recursive: true, force: true});
+});
+
+describe("planOutputs", () => {
+    const {settings} = parseArgs([]);
+
+    it("adds -filtered next to the inputs by default", () => {
+        const files = [join(dir, "in.png"), join(dir, "in.ppm")];
+        assert.throws(() => planOutputs(files, settings, null),
+            /would both be saved as/);
+        assert.deepEqual(planOutputs(files.slice(0, 1), settings, null),
+            [join(dir, "in-filtered.png")]);
+    });
+
+    it("rejects an output that would replace a different input", () => {
+        const files = [join(dir, "in.png"), join(dir, "in.ppm")];
+        assert.throws(() => planOutputs(files, settings, dir),
+            /won't overwrite the input/);
+    });
+
+    it("rejects two inputs with the same output", () => {
+        const files = [join(dir, "in.png"), join(dir, "in.ppm")];
+        assert.throws(() => planOutputs(files, settings, join(dir, "out")),
+            /would both be saved as .*in\.png/);
+    });
+
+    it("uses the save format's extension", () => {
+        const pgm = parseArgs(["--save-format", "PGM", "--no-onebit"]);
+        assert.deepEqual(
+            planOutputs([join(dir, "in.png")], pgm.settings, join(dir, "out")),
+            [join(dir, "out", "in.pgm")]);
+    });
+
+    it("writes nothing when the plan is rejected", () => {
+        const original = readFileSync(join(dir, "in.png"));
+        const result = spawnSync(process.execPath,
+            [CLI, join(dir, "in.png"), join(dir, "in.ppm"), "-o", dir],
+            {encoding: "utf8"});
+        assert.equal(result.status, 2);
+        assert.match(result.stderr, /won't overwrite the input/);
+        assert.deepEqual(readFileSync(join(dir, "in.png")), original);
+    });
+});
+
+describe("--eq-gains", () => {
+    it("sets every gain from one number", () => {
+        const {settings} = parseArgs(["--eq-gains", "2"]);
+        assert.deepEqual(settings.eqGains, Array(6).fill([2, 2, 2]));
+    });
+
+    it("sets every level from H,V,D gains", () => {
+        const {settings} = parseArgs(["--eq-gains", "2,1,0"]);
+        assert.deepEqual(settings.eqGains, Array(6).fill([2, 1, 0]));
+    });
+
+    it("rejects other flat lists", () => {
+        assert.throws(() => parseArgs(["--eq-gains", "2,1"]),
+            /bad value for --eq-gains: 2,1 \(expected one number, 3 numbers/);
+    });
+});
+
+describe("--preset", () => {
+    it("checks the settings of exported settings files", () => {
+        const path = join(dir, "settings.json");
+        writeFileSync(path, JSON.stringify({
+            format: "webwavecam-settings",
+            version: 1,
+            current: {transform: "Foo"},
+            presets: {bad: {dither: "Nope"}, good: {levels: 3}},
+        }));
+        assert.throws(() => parseArgs(["--preset", path]),
+            /bad value for --transform: Foo/);
+        assert.throws(() => parseArgs(["--preset", `${path}#bad`]),
+            /bad value for --dither: Nope/);
+        const {settings} = parseArgs(["--preset", `${path}#good`]);
+        assert.equal(settings.levels, 3);
+    });
+
+    it("checks plain JSON settings files", () => {
+        const path = join(dir, "plain.json");
+        writeFileSync(path, JSON.stringify({levels: 9}));
+        assert.throws(() => parseArgs(["--preset", path]),
+            /bad value for --levels: 9/);
+    });
+
+    it("takes an inline JSON object", () => {
+        const {settings} = parseArgs(["--preset", '{"levels":3}',
+            "--transform", "Haar"]);
+        assert.equal(settings.levels, 3);
+        assert.equal(settings.transform, "Haar");
+        assert.throws(() => parseArgs(["--preset", '{"levels":']),
+            /not a JSON file/);
+    });
+
+    it("lets flags override the preset", () => {
+        const {settings} = parseArgs(["--preset", "thermal receipt",
+            "--levels", "2"]);
+        assert.equal(settings.levels, 2);
+        assert.equal(settings.dither, "Atkinson");
+    });
+});
@@ -0,0 +1,62 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Tests for the colour modes in color.js
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { processColorFrame } from '../color.js';
+import { resetTemporal } from '../temporal.js';
+
+// Return an opaque w*h RGBA frame of one colour
+function solid(w, h, red, green, blue) {
+    const rgba = new Uint8ClampedArray(w * h * 4);
+    for (let i=0; i<rgba.length; i+=4) {
+        rgba.set([red, green, blue, 255], i);
+    }
+    return rgba;
+}
+
+describe("processColorFrame", () => {
+    it("keeps grey grey when squashing all channels", () => {
+        const [w, h] = [32, 32];
+        const rgba = solid(w, h, 90, 90, 90);
+        processColorFrame(rgba, w, h, {colorMode: "All", transform: "Haar",
+            squash: true, sqbias: 160, contrast: "None", onebit: false});
+        for (let i=0; i<rgba.length; i+=4) {
+            assert.deepEqual([rgba[i+1], rgba[i+2]], [rgba[i], rgba[i]],
+                `pixel ${i >> 2}`);
+        }
+        assert.equal(rgba[0], 160);
+    });
+
+    it("squashes chroma toward neutral in all channels mode", () => {
+        // Squash removes the average, so a flat colour cast goes away
+        const [w, h] = [32, 32];
+        const rgba = solid(w, h, 200, 120, 60);
+        processColorFrame(rgba, w, h, {colorMode: "All", transform: "Haar",
+            squash: true, sqbias: 160, contrast: "None", onebit: false});
+        assert.deepEqual(Array.from(rgba.subarray(0, 4)), [160, 160, 160, 255]);
+    });
+
+    describe("freeze when stable", () => {
+        beforeEach(() => {
+            resetTemporal();
+        });
+
+        it("holds the colours along with luma", () => {
+            const [w, h] = [16, 16];
+            const options = {colorMode: "Passthrough", contrast: "None",
+                onebit: false, freezeStable: true};
+            for (let i=0; i<10; i++) {
+                processColorFrame(solid(w, h, 100, 100, 100), w, h, options);
+            }
+            // Same luma with a red tint, so the input still counts as stable
+            const rgba = solid(w, h, 104, 98, 100);
+            processColorFrame(rgba, w, h, options);
+            assert.deepEqual(Array.from(rgba.subarray(0, 4)),
+                [100, 100, 100, 255]);
+        });
+    });
+});
@@ -0,0 +1,22 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Tests for the file encoders in encode.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeCHeader } from '../encode.js';
+import { lumaImage } from './synthetic.js';
+
+describe("encodeCHeader", () => {
+    it("declares a static array of packed bits", () => {
+        // 10x2: a dark pixel on the left of row 0 and the right of row 1
+        const luma = lumaImage(10, 2, (x, y) => (x == y * 9) ? 0 : 255);
+        const text = encodeCHeader(luma, 10, 2, "logo");
+        assert.match(text, /^#define LOGO_WIDTH 10$/m);
+        assert.match(text, /^#define LOGO_HEIGHT 2$/m);
+        assert.match(text, /^static const uint8_t logo\[4\] = \{$/m);
+        assert.match(text, /^ {4}0x80, 0x00, 0x00, 0x40,$/m);
+    });
+});
@@ -0,0 +1,284 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Tests for the lo-fi Haar and Linear transforms and the per-pixel stages in
+// filters.js
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    waveletFwdHaar, waveletInvHaar, waveletFwdLinear, waveletInvLinear,
+    lumaFrom, autoContrastHistogram, onebit, invert,
+} from '../filters.js';
+import {
+    FAMILIES, waveletFwd, waveletInv, coefficientsFrom, coefficientsToLuma,
+    levelSizes, maxLevels,
+} from '../wavelets.js';
+import { PATTERNS, lumaImage } from './synthetic.js';
+
+// Frame sizes to test, including odd sizes where the last row and column
+// have no partner
+const SIZES = [[64, 64], [33, 17], [7, 5], [2, 9]];
+
+const TRANSFORMS = {
+    Haar: [waveletFwdHaar, waveletInvHaar],
+    Linear: [waveletFwdLinear, waveletInvLinear],
+};
+
+// Return {max, mean} of the absolute differences between a and b
+function errors(a, b) {
+    let max = 0;
+    let sum = 0;
+    for (let i=0; i<a.length; i++) {
+        const d = Math.abs(a[i] - b[i]);
+        max = Math.max(max, d);
+        sum += d;
+    }
+    return {max, mean: sum / a.length};
+}
+
+// Return the levels to test for a w*h frame
+function levelRange(w, h) {
+    return Array.from({length: Math.min(6, maxLevels(w, h))}, (_, i) => i + 1);
+}
+
+// Return the lo-fi round trip (forward then inverse) of a copy of luma
+function roundTrip(name, w, h, levels, luma, options = {squash: false}) {
+    const [fwd, inv] = TRANSFORMS[name];
+    const out = luma.slice();
+    fwd(w, h, levels, out, options);
+    inv(w, h, levels, out);
+    return out;
+}
+
+for (const name of Object.keys(TRANSFORMS)) {
+    describe(`lo-fi ${name} round trip`, () => {
+        // The lo-fi transforms keep coefficients in 8 bits, so each level can
+        // lose up to about one luma step to rounding. Full scale pixel to
+        // pixel steps (like a 1 pixel checkerboard) wrap around in the 8-bit
+        // row differences, so those don't come back at all.
+        it("reconstructs flat images exactly", () => {
+            for (const [w, h] of SIZES) {
+                for (const levels of levelRange(w, h)) {
+                    const luma = PATTERNS.flat(w, h);
+                    const out = roundTrip(name, w, h, levels, luma);
+                    assert.deepEqual(out, luma, `${w}x${h} L${levels}`);
+                }
+            }
+        });
+
+        it("keeps ramps within one step per level", () => {
+            for (const [w, h] of [...SIZES, [640, 480]]) {
+                for (const levels of levelRange(w, h)) {
+                    for (const p of ["hramp", "vramp", "diagonal"]) {
+                        const luma = PATTERNS[p](w, h);
+                        const out = roundTrip(name, w, h, levels, luma);
+                        const {max} = errors(out, luma);
+                        assert.ok(max <= levels,
+                            `${p} ${w}x${h} L${levels}: max error ${max}`);
+                    }
+                }
+            }
+        });
+
+        it("keeps an impulse in place", () => {
+            for (const [w, h] of SIZES) {
+                for (const levels of levelRange(w, h)) {
+                    const luma = PATTERNS.impulse(w, h);
+                    const out = roundTrip(name, w, h, levels, luma);
+                    const {max} = errors(out, luma);
+                    assert.ok(max <= 4, `${w}x${h} L${levels}: max ${max}`);
+                    const peak = out.indexOf(Math.max(...out));
+                    assert.equal(peak, ((h >> 1) * w) + (w >> 1));
+                }
+            }
+        });
+
+        it("keeps the mean error of noise within one step per level", () => {
+            for (const [w, h] of SIZES) {
+                for (const levels of levelRange(w, h)) {
+                    const luma = PATTERNS.noise(w, h);
+                    const out = roundTrip(name, w, h, levels, luma);
+                    const {mean} = errors(out, luma);
+                    assert.ok(mean <= levels,
+                        `${w}x${h} L${levels}: mean error ${mean}`);
+                }
+            }
+        });
+
+        it("reconstructs 4 pixel checkerboards exactly at 2 levels", () => {
+            // Below the checker size, every block is flat
+            for (const [w, h] of SIZES) {
+                const luma = PATTERNS.checker4(w, h);
+                const levels = Math.min(2, maxLevels(w, h));
+                assert.deepEqual(roundTrip(name, w, h, levels, luma), luma);
+            }
+        });
+    });
+
+    describe(`lo-fi ${name} squash`, () => {
+        it("sets the last level's averages to sqbias", () => {
+            const [w, h] = [33, 17];
+            for (const levels of levelRange(w, h)) {
+                const luma = PATTERNS.noise(w, h);
+                const plain = luma.slice();
+                TRANSFORMS[name][0](w, h, levels, plain, {squash: false});
+                TRANSFORMS[name][0](w, h, levels, luma,
+                    {squash: true, sqbias: 99});
+                // Averages of the last level are the top left corner
+                const [cols, rows] = levelSizes(w, h, levels + 1)[levels];
+                for (let y=0; y<h; y++) {
+                    for (let x=0; x<w; x++) {
+                        const i = (y * w) + x;
+                        const expected = (x < cols && y < rows) ? 99 : plain[i];
+                        assert.equal(luma[i], expected,
+                            `L${levels} (${x},${y})`);
+                    }
+                }
+            }
+        });
+
+        it("turns a flat image into a flat sqbias image", () => {
+            for (const [w, h] of SIZES) {
+                for (const levels of levelRange(w, h)) {
+                    const luma = lumaImage(w, h, () => 40);
+                    const out = roundTrip(name, w, h, levels, luma,
+                        {squash: true, sqbias: 160});
+                    assert.ok(out.every((v) => v == 160),
+                        `${w}x${h} L${levels}`);
+                }
+            }
+        });
+
+        it("keeps edges while replacing the average level", () => {
+            // A step from 60 to 100 should stay a 40 step, but moved up near
+            // sqbias
+            const [w, h] = [64, 64];
+            const luma = lumaImage(w, h, (x) => (x < 32) ? 60 : 100);
+            const out = roundTrip(name, w, h, 6, luma,
+                {squash: true, sqbias: 160});
+            const left = out[(32 * w) + 8];
+            const right = out[(32 * w) + 56];
+            assert.ok(Math.abs(right - left - 40) <= 2,
+                `step ${left} -> ${right}`);
+            const mean = out.reduce((a, b) => a + b) / out.length;
+            assert.ok(Math.abs(mean - 160) <= 20, `mean ${mean}`);
+        });
+    });
+}
+
+describe("wide precision round trip", () => {
+    // Int16 and Float32 coefficients go through the lifting driver, which
+    // should reconstruct the integer transforms exactly (and everything
+    // exactly in Float32), even on images the lo-fi buffer can't hold
+    const cases = [
+        ["Haar", "int16"], ["Linear", "int16"], ["CDF53", "int16"],
+        ...Object.keys(FAMILIES).map((name) => [name, "float32"]),
+    ];
+    for (const [name, precision] of cases) {
+        it(`reconstructs ${name} in ${precision} exactly`, () => {
+            for (const [w, h] of SIZES) {
+                const levels = Math.min(6, maxLevels(w, h));
+                for (const p of ["noise", "checker", "impulse", "hramp"]) {
+                    const luma = PATTERNS[p](w, h);
+                    const coef = coefficientsFrom(luma, precision);
+                    waveletFwd(w, h, levels, coef, FAMILIES[name],
+                        {squash: false});
+                    waveletInv(w, h, levels, coef, FAMILIES[name]);
+                    const out = new Uint8Array(w * h);
+                    coefficientsToLuma(w, h, 0, coef, out);
+                    assert.deepEqual(out, luma, `${p} ${w}x${h}`);
+                }
+            }
+        });
+    }
+});
+
+describe("lumaFrom", () => {
+    it("converts every pixel, including the last one", () => {
+        const rgba = Uint8ClampedArray.from([
+            255, 255, 255, 255,
+            0, 0, 0, 255,
+            80, 160, 240, 255,
+        ]);
+        // Stale values in a reused buffer must all get overwritten
+        const out = lumaFrom(rgba, Uint8Array.from([7, 7, 7]));
+        assert.deepEqual(out, Uint8Array.from([255, 0, 140]));
+        assert.deepEqual(lumaFrom(rgba), out);
+    });
+});
+
+describe("autoContrastHistogram", () => {
+    it("centers the midpoint of two peaks on 127", () => {
+        // 2048 pixels in each peak, enough to survive the bin count scaling
+        const [w, h] = [64, 64];
+        const luma = lumaImage(w, h, (x) => (x < 32) ? 40 : 200);
+        const cutoff = autoContrastHistogram(w, h, luma);
+        // Peak bins are 20 and 100 (2 levels per bin), midpoint 120
+        assert.equal(cutoff, 7);
+        assert.equal(luma[0], 47);
+        assert.equal(luma[63], 207);
+    });
+
+    it("clamps shifted values to 0..255", () => {
+        const [w, h] = [64, 64];
+        const luma = lumaImage(w, h, (x, y) => {
+            if (y == 0) {
+                return (x == 0) ? 0 : 255;
+            }
+            return (x < 32) ? 200 : 250;
+        });
+        const cutoff = autoContrastHistogram(w, h, luma);
+        assert.ok(cutoff < 0);
+        assert.equal(luma[0], 0);
+        assert.ok(luma.every((v) => v >= 0 && v <= 255));
+        assert.equal(luma[1], 255 + cutoff);
+    });
+
+    it("falls back to the luma range without two clear peaks", () => {
+        // Too few pixels for any bin to count, so the cutoff comes from the
+        // min and max values
+        const [w, h] = [16, 16];
+        const luma = lumaImage(w, h, (x) => 20 + (x * 4));
+        const cutoff = autoContrastHistogram(w, h, luma);
+        assert.equal(cutoff, 20 + ((80 - 20) >> 1));
+        assert.equal(luma[0], 20 + cutoff);
+    });
+});
+
+describe("onebit", () => {
+    it("thresholds at onebitBias", () => {
+        const luma = Uint8Array.from([0, 99, 100, 101, 255]);
+        onebit(luma, {onebitBias: 100});
+        assert.deepEqual(luma, Uint8Array.from([0, 0, 255, 255, 255]));
+    });
+
+    it("uses the default bias of 120", () => {
+        const luma = Uint8Array.from([119, 120]);
+        onebit(luma, {});
+        assert.deepEqual(luma, Uint8Array.from([0, 255]));
+    });
+
+    it("only outputs 0 and 255", () => {
+        const luma = PATTERNS.noise(33, 17);
+        onebit(luma, {onebitBias: 128});
+        assert.ok(luma.every((v) => v == 0 || v == 255));
+    });
+});
+
+describe("invert", () => {
+    it("maps each value to 255 - value", () => {
+        const luma = Uint8Array.from([0, 1, 127, 128, 255]);
+        invert(luma);
+        assert.deepEqual(luma, Uint8Array.from([255, 254, 128, 127, 0]));
+    });
+
+    it("undoes itself", () => {
+        const luma = PATTERNS.noise(33, 17);
+        const out = luma.slice();
+        invert(out);
+        invert(out);
+        assert.deepEqual(out, luma);
+    });
+});
@@ -0,0 +1,106 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Full pipeline tests: filter a synthetic scene with filterPixels (what the
+// page and cli.js run on each frame) and compare the pixels to the golden
+// images in test/golden. After a change that is meant to alter the output,
+// look over the new images and check them in. To write them, run:
+//
+//   UPDATE_GOLDEN=1 npm test
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { filterPixels } from '../render.js';
+import { resetTemporal } from '../temporal.js';
+import { BUILTIN_PRESETS } from '../settings.js';
+import { decodePNG, encodePNG } from '../imagefile.js';
+import { sceneRGBA } from './synthetic.js';
+
+const GOLDEN_DIR = new URL('golden/', import.meta.url);
+const UPDATE = Boolean(process.env.UPDATE_GOLDEN);
+
+// Odd height, so the transforms have an unpaired last row
+const [W, H] = [160, 119];
+
+// Golden image names and the settings they use (on top of the defaults)
+const CASES = {
+    "default": {},
+    "haar-squash": {transform: "Haar", levels: 5, sqbias: 170,
+        contrast: "None", onebit: false},
+    "linear": {transform: "Linear", squash: false, contrast: "None",
+        onebit: false},
+    "cdf53-int16-hard": {transform: "CDF53", precision: "int16",
+        squash: false, denoise: "Hard", denoiseThresholds: [12, 8, 4, 2, 1, 0],
+        onebit: false},
+    "cdf97-bayes": {transform: "CDF97", precision: "float32", squash: false,
+        denoise: "Soft", denoiseAuto: "BayesShrink", onebit: false},
+    "d4-eq": {transform: "D4", squash: false, eqGains: [[2, 2, 2], [1, 0, 1],
+        [1, 1, 1], [1, 1, 1], [1, 1, 1], [1, 1, 1]], onebit: false},
+    "coef-diverging": {transform: "CDF53", invWave: false,
+        coefView: "Diverging", coefScale: "Log"},
+    "coef-grey": {transform: "Haar", invWave: false, coefView: "Grey",
+        levels: 3},
+    "color-separate": {colorMode: "Separate", transform: "Haar",
+        onebit: false},
+    "color-all": {colorMode: "All", transform: "CDF53", squash: false,
+        denoise: "Soft", denoiseAuto: "VisuShrink", onebit: false},
+    "percentile-atkinson": {transform: "Haar", contrast: "Percentile",
+        dither: "Atkinson"},
+    "clahe-bayer": {contrast: "CLAHE", dither: "Bayer4"},
+    "otsu-inverted": {contrast: "Otsu", invLuma: true},
+    "equalize-bluenoise": {transform: "Linear", contrast: "Equalize",
+        dither: "BlueNoise"},
+};
+for (const [name, settings] of Object.entries(BUILTIN_PRESETS)) {
+    CASES[`preset-${name.replace(/ /g, "-").toLowerCase()}`] = settings;
+}
+
+// Return the number of pixels that differ between two RGBA buffers
+function differentPixels(a, b) {
+    let count = 0;
+    for (let i=0; i<a.length; i+=4) {
+        if (a[i] != b[i] || a[i+1] != b[i+1] || a[i+2] != b[i+2]
+            || a[i+3] != b[i+3])
+        {
+            count++;
+        }
+    }
+    return count;
+}
+
+describe("golden images", () => {
+    beforeEach(() => {
+        // Temporal stages keep state between frames
+        resetTemporal();
+    });
+
+    for (const [name, settings] of Object.entries(CASES)) {
+        it(name, () => {
+            const rgba = sceneRGBA(W, H);
+            filterPixels(rgba, W, H, settings);
+            const file = new URL(`${name}.png`, GOLDEN_DIR);
+            if (UPDATE) {
+                writeFileSync(file, encodePNG(rgba, W, H));
+                return;
+            }
+            const golden = decodePNG(readFileSync(file));
+            assert.equal(golden.w, W);
+            assert.equal(golden.h, H);
+            const diff = differentPixels(rgba, golden.rgba);
+            assert.equal(diff, 0, `${diff} pixels differ from ${name}.png`);
+        });
+    }
+
+    it("has the same output for the same input", () => {
+        // Filtering twice must not depend on leftover scratch buffer data
+        const settings = CASES["cdf97-bayes"];
+        const a = sceneRGBA(W, H);
+        const b = sceneRGBA(W, H);
+        filterPixels(a, W, H, settings);
+        filterPixels(sceneRGBA(W, H).reverse(), W, H, CASES["d4-eq"]);
+        filterPixels(b, W, H, settings);
+        assert.deepEqual(a, b);
+    });
+});
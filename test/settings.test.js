@@ -0,0 +1,83 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Tests for checking settings read back from localStorage, links, and files
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_SETTINGS, cleanSettings, cleanPresets, settingsFromHash,
+    settingsToHash,
+} from '../settings.js';
+
+// A stored settings object from an older or broken page: the arrays have the
+// wrong shape, so reading a level's gains or a threshold would throw
+const MALFORMED = {
+    levels: 3,
+    transform: "Haar",
+    eqGains: [[2, 2], "x"],
+    denoiseThresholds: null,
+    sqbias: "170",
+    unknown: true,
+};
+
+// Return the per-level values that applySettings in main.js reads
+function controlValues(settings) {
+    const s = {...DEFAULT_SETTINGS, ...settings};
+    const gains = [];
+    const thresholds = [];
+    for (let level=1; level<=6; level++) {
+        thresholds.push(s.denoiseThresholds[level-1]);
+        for (let orient=0; orient<3; orient++) {
+            gains.push(s.eqGains[level-1][orient]);
+        }
+    }
+    return {gains, thresholds};
+}
+
+describe("cleanSettings", () => {
+    it("drops values with the wrong shape from stored settings", () => {
+        const clean = cleanSettings(JSON.parse(JSON.stringify(MALFORMED)));
+        assert.deepEqual(clean, {levels: 3, transform: "Haar"});
+        assert.doesNotThrow(() => controlValues(clean));
+    });
+
+    it("gives no settings for stored values that aren't objects", () => {
+        for (const stored of [null, 3, "levels", true]) {
+            assert.deepEqual(cleanSettings(stored), {});
+        }
+    });
+});
+
+describe("cleanPresets", () => {
+    it("cleans every saved preset", () => {
+        const presets = cleanPresets({good: {levels: 2}, bad: MALFORMED,
+            broken: "x"});
+        assert.deepEqual(presets, {good: {levels: 2},
+            bad: {levels: 3, transform: "Haar"}, broken: {}});
+        for (const preset of Object.values(presets)) {
+            assert.doesNotThrow(() => controlValues(preset));
+        }
+    });
+
+    it("gives no presets for stored values that aren't objects", () => {
+        assert.deepEqual(cleanPresets(null), {});
+        assert.deepEqual(cleanPresets("presets"), {});
+    });
+});
+
+describe("settingsFromHash", () => {
+    it("reads back what settingsToHash wrote", () => {
+        const settings = {...DEFAULT_SETTINGS, transform: "Haar", levels: 3,
+            eqGains: DEFAULT_SETTINGS.eqGains.map(() => [2, 1, 0])};
+        const hash = settingsToHash(settings);
+        assert.deepEqual({...DEFAULT_SETTINGS, ...settingsFromHash(hash)},
+            settings);
+    });
+
+    it("drops malformed values", () => {
+        assert.deepEqual(settingsFromHash("#eqGains=[[2,2]]&levels=4"),
+            {levels: 4});
+    });
+});
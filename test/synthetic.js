@@ -0,0 +1,88 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Synthetic test images. Everything here uses integer math (or a seeded
+// random generator), so the images come out the same on every machine.
+
+// Return a w*h luma image with pixel values from fn(x, y)
+export function lumaImage(w, h, fn) {
+    const luma = new Uint8Array(w * h);
+    for (let y=0; y<h; y++) {
+        for (let x=0; x<w; x++) {
+            luma[(y*w)+x] = fn(x, y);
+        }
+    }
+    return luma;
+}
+
+// Return a seeded pseudo-random number generator (mulberry32) that returns
+// integers in 0..255
+export function random(seed) {
+    let s = seed >>> 0;
+    return function() {
+        s = (s + 0x6d2b79f5) >>> 0;
+        let t = s;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 24) & 0xff;
+    };
+}
+
+// Luma test patterns, by name: each is a function (w, h) -> Uint8Array
+export const PATTERNS = {
+    flat: (w, h) => lumaImage(w, h, () => 128),
+    hramp: (w, h) => lumaImage(w, h, (x) =>
+        Math.floor(x * 255 / Math.max(1, w - 1))),
+    vramp: (w, h) => lumaImage(w, h, (x, y) =>
+        Math.floor(y * 255 / Math.max(1, h - 1))),
+    diagonal: (w, h) => lumaImage(w, h, (x, y) => ((x + y) * 4) & 0xff),
+    checker: (w, h) => lumaImage(w, h, (x, y) => ((x ^ y) & 1) ? 255 : 0),
+    checker4: (w, h) => lumaImage(w, h, (x, y) =>
+        (((x >> 2) ^ (y >> 2)) & 1) ? 255 : 0),
+    impulse: (w, h) => lumaImage(w, h, (x, y) =>
+        (x == (w >> 1) && y == (h >> 1)) ? 255 : 0),
+    noise: (w, h) => {
+        const next = random(w * h);
+        return lumaImage(w, h, () => next());
+    },
+};
+
+// Return an opaque w*h RGBA scene for full pipeline tests: a diagonal colour
+// gradient with a dark disc, a light bar, fine stripes, and some noise, so
+// every stage of the filter chain has something to do
+export function sceneRGBA(w, h) {
+    const next = random(42);
+    const rgba = new Uint8ClampedArray(w * h * 4);
+    const cx = w >> 2;
+    const cy = h >> 1;
+    const r = h >> 2;
+    for (let y=0; y<h; y++) {
+        for (let x=0; x<w; x++) {
+            const i = ((y * w) + x) * 4;
+            let red = 60 + ((x * 150) / w);
+            let green = 50 + ((y * 160) / h);
+            let blue = 200 - ((x + y) * 100 / (w + h));
+            const dx = x - cx;
+            const dy = y - cy;
+            // Only the background gets noise, so the flat shapes stand out
+            // as peaks in the luma histogram
+            let n = (next() >> 4) - 8;
+            if ((dx * dx) + (dy * dy) < r * r) {
+                red = green = blue = 32;
+                n = 0;
+            } else if (x > (w >> 1) && y > (h >> 3) && y < (h >> 2)) {
+                red = green = blue = 236;
+                n = 0;
+            } else if (x > (w * 5 >> 3) && y > (h >> 1) && (x & 2)) {
+                red = green = blue = 20;
+                n = 0;
+            }
+            rgba[i] = red + n;
+            rgba[i+1] = green + n;
+            rgba[i+2] = blue + n;
+            rgba[i+3] = 255;
+        }
+    }
+    return rgba;
+}
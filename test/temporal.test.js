@@ -0,0 +1,59 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Tests for the stages in temporal.js that keep state between frames
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveOptions } from '../filters.js';
+import { resetTemporal, frozenFrame, holdFrame } from '../temporal.js';
+import { PATTERNS } from './synthetic.js';
+
+const [W, H] = [16, 16];
+
+// Feed the same input frame n times with the given options (holding each
+// processed frame, like processFrame does), and return whether the last one
+// was frozen
+function feed(n, options) {
+    let frozen = false;
+    for (let i=0; i<n; i++) {
+        const luma = PATTERNS.diagonal(W, H);
+        frozen = frozenFrame(luma, options);
+        if (!frozen) {
+            holdFrame(luma.fill(7));
+        }
+    }
+    return frozen;
+}
+
+describe("frozenFrame", () => {
+    beforeEach(() => {
+        resetTemporal();
+    });
+
+    it("holds the output once the input has been stable", () => {
+        const options = resolveOptions({freezeStable: true});
+        assert.equal(feed(8, options), false);
+        assert.equal(feed(1, options), true);
+        const luma = PATTERNS.diagonal(W, H);
+        frozenFrame(luma, options);
+        assert.ok(luma.every((v) => v == 7));
+    });
+
+    it("ignores the order of the options", () => {
+        const options = resolveOptions({freezeStable: true});
+        const reversed = Object.fromEntries(Object.entries(options).reverse());
+        feed(8, options);
+        assert.equal(feed(1, reversed), true);
+    });
+
+    it("starts over when an option changes", () => {
+        const options = resolveOptions({freezeStable: true});
+        feed(9, options);
+        const eqGains = options.eqGains.map((g) => g.slice());
+        assert.equal(feed(1, {...options, eqGains}), true);
+        eqGains[5][2] = 2;
+        assert.equal(feed(1, {...options, eqGains}), false);
+    });
+});
@@ -0,0 +1,396 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// DOM-free lifting scheme wavelet families that share one 2D transform driver.
+//
+// Each family has a fwd(s, d, ns, nd) and inv(s, d, ns, nd) function that does
+// in-place lifting steps on one line of samples which has already been split
+// into its even (s) and odd (d) samples. After fwd, s holds the approximation
+// (average) signal, normalized so a flat line keeps its luma value, and d holds
+// the detail (difference) signal. inv undoes the lifting steps in reverse.
+//
+// The driver works on 8-bit buffers (lo-fi: details get stored at 0.5x and
+// clamped), Int16Array buffers (exact for the integer lifting families: Haar,
+// Linear, and CDF 5/3), or Float32Array buffers (exact after rounding for all
+// families).
+//
+// See "Factoring Wavelet Transforms into Lifting Steps" by Ingrid Daubechies
+// and Wim Sweldens for the lifting factorizations of CDF 9/7 and D4.
+
+import { scratch } from './buffers.js';
+
+// Return a[i] with i clamped to the range 0..n-1 (repeats edge samples)
+function at(a, n, i) {
+    return a[(i < 0) ? 0 : ((i >= n) ? n - 1 : i)];
+}
+
+// Haar integer lifting (S transform), like "Building Your Own Wavelets at
+// Home" section 1.3, but without the 8-bit shifts of waveletFwdHaar
+const Haar = {
+    fwd(s, d, ns, nd) {
+        for (let i=0; i<nd; i++) {
+            d[i] -= s[i];                       // d = b - a
+            s[i] += Math.floor(d[i] / 2);       // s = a + d/2
+        }
+    },
+    inv(s, d, ns, nd) {
+        for (let i=0; i<nd; i++) {
+            s[i] -= Math.floor(d[i] / 2);
+            d[i] += s[i];
+        }
+    },
+};
+
+// Linear prediction integer lifting (predict only, no update step), like
+// "Building Your Own Wavelets at Home" section 1.5
+const Linear = {
+    fwd(s, d, ns, nd) {
+        for (let i=0; i<nd; i++) {
+            d[i] -= Math.floor((s[i] + at(s, ns, i+1)) / 2);
+        }
+    },
+    inv(s, d, ns, nd) {
+        for (let i=0; i<nd; i++) {
+            d[i] += Math.floor((s[i] + at(s, ns, i+1)) / 2);
+        }
+    },
+};
+
+// CDF 5/3 (LeGall) integer lifting, like lossless JPEG 2000. Unlike
+// waveletFwdLinear, this has an update step that smooths the averages.
+const CDF53 = {
+    fwd(s, d, ns, nd) {
+        // Predict: d = odd - floor((even1 + even2) / 2)
+        for (let i=0; i<nd; i++) {
+            d[i] -= Math.floor((s[i] + at(s, ns, i+1)) / 2);
+        }
+        // Update: s = even + floor((d1 + d2 + 2) / 4)
+        for (let i=0; i<ns; i++) {
+            s[i] += Math.floor((at(d, nd, i-1) + at(d, nd, i) + 2) / 4);
+        }
+    },
+    inv(s, d, ns, nd) {
+        for (let i=0; i<ns; i++) {
+            s[i] -= Math.floor((at(d, nd, i-1) + at(d, nd, i) + 2) / 4);
+        }
+        for (let i=0; i<nd; i++) {
+            d[i] += Math.floor((s[i] + at(s, ns, i+1)) / 2);
+        }
+    },
+};
+
+// CDF 9/7 lifting coefficients (same as lossy JPEG 2000)
+const ALPHA = -1.586134342059924;
+const BETA = -0.052980118572961;
+const GAMMA = 0.882911075530934;
+const DELTA = 0.443506852043971;
+const K97 = 1.230174104914001;
+
+// Lifted CDF 9/7 with two predict and two update steps
+const CDF97 = {
+    fwd(s, d, ns, nd) {
+        for (let i=0; i<nd; i++) {
+            d[i] += ALPHA * (s[i] + at(s, ns, i+1));
+        }
+        for (let i=0; i<ns; i++) {
+            s[i] += BETA * (at(d, nd, i-1) + at(d, nd, i));
+        }
+        for (let i=0; i<nd; i++) {
+            d[i] += GAMMA * (s[i] + at(s, ns, i+1));
+        }
+        for (let i=0; i<ns; i++) {
+            s[i] += DELTA * (at(d, nd, i-1) + at(d, nd, i));
+        }
+        // Scale so averages have unity gain
+        for (let i=0; i<ns; i++) {
+            s[i] /= K97;
+        }
+        for (let i=0; i<nd; i++) {
+            d[i] *= K97;
+        }
+    },
+    inv(s, d, ns, nd) {
+        for (let i=0; i<nd; i++) {
+            d[i] /= K97;
+        }
+        for (let i=0; i<ns; i++) {
+            s[i] *= K97;
+        }
+        for (let i=0; i<ns; i++) {
+            s[i] -= DELTA * (at(d, nd, i-1) + at(d, nd, i));
+        }
+        for (let i=0; i<nd; i++) {
+            d[i] -= GAMMA * (s[i] + at(s, ns, i+1));
+        }
+        for (let i=0; i<ns; i++) {
+            s[i] -= BETA * (at(d, nd, i-1) + at(d, nd, i));
+        }
+        for (let i=0; i<nd; i++) {
+            d[i] -= ALPHA * (s[i] + at(s, ns, i+1));
+        }
+    },
+};
+
+// Daubechies D4 lifting coefficients
+const SQRT3 = Math.sqrt(3);
+const D4_S = (SQRT3 - 1) / 2;     // Average scale factor (unity gain)
+const D4_D = (SQRT3 + 1) / 2;     // Difference scale factor
+
+// Lifted Daubechies D4 (update, predict, update, then scale). When the line
+// has an odd length, the last even sample has no odd partner, so it passes
+// through unchanged as an average.
+const D4 = {
+    fwd(s, d, ns, nd) {
+        for (let i=0; i<nd; i++) {
+            s[i] += SQRT3 * d[i];
+        }
+        for (let i=0; i<nd; i++) {
+            d[i] -= ((SQRT3 / 4) * s[i])
+                + (((SQRT3 - 2) / 4) * at(s, nd, i-1));
+        }
+        for (let i=0; i<nd; i++) {
+            s[i] -= at(d, nd, i+1);
+        }
+        for (let i=0; i<nd; i++) {
+            s[i] *= D4_S;
+            d[i] *= D4_D;
+        }
+    },
+    inv(s, d, ns, nd) {
+        for (let i=0; i<nd; i++) {
+            s[i] /= D4_S;
+            d[i] /= D4_D;
+        }
+        for (let i=0; i<nd; i++) {
+            s[i] += at(d, nd, i+1);
+        }
+        for (let i=0; i<nd; i++) {
+            d[i] += ((SQRT3 / 4) * s[i])
+                + (((SQRT3 - 2) / 4) * at(s, nd, i-1));
+        }
+        for (let i=0; i<nd; i++) {
+            s[i] -= SQRT3 * d[i];
+        }
+    },
+};
+
+// Wavelet families by transform name
+export const FAMILIES = {Haar, Linear, CDF53, CDF97, D4};
+
+// Load a coefficient from the 8-bit buffer. Unsigned values are averages.
+// Signed values are details, which get stored at 0.5x to fit in a byte.
+function loadByte(raw, signed) {
+    return signed ? ((raw << 24) >> 23) : raw;
+}
+
+// Store a coefficient in the 8-bit buffer (see loadByte)
+function storeByte(v, signed) {
+    if (signed) {
+        v = Math.round(v / 2);
+        return ((v < -128) ? -128 : ((v > 127) ? 127 : v)) & 0xff;
+    }
+    v = Math.round(v);
+    return (v < 0) ? 0 : ((v > 255) ? 255 : v);
+}
+
+// Load and store coefficients for each type of buffer
+const BYTE_STORAGE = {load: loadByte, store: storeByte};
+const INT16_STORAGE = {
+    load: (raw, signed) => raw,
+    store: (v, signed) => Math.round(v),
+};
+const FLOAT_STORAGE = {
+    load: (raw, signed) => raw,
+    store: (v, signed) => v,
+};
+
+// Return the coefficient storage functions for a buffer as {load, store}.
+// load(raw, signed) returns a coefficient in luma units, and store(v, signed)
+// returns the raw value to put in the buffer.
+export function storageFor(buf) {
+    if (buf instanceof Int16Array) {
+        return INT16_STORAGE;
+    } else if (buf instanceof Float32Array) {
+        return FLOAT_STORAGE;
+    }
+    return BYTE_STORAGE;
+}
+
+// Return a scratch coefficient buffer of the given precision ("int16" or
+// "float32") holding a copy of luma
+export function coefficientsFrom(luma, precision) {
+    const Type = (precision == "int16") ? Int16Array : Float32Array;
+    const coef = scratch(`coef_${precision}`, Type, luma.length);
+    coef.set(luma);
+    return coef;
+}
+
+// Write a wide (Int16 or Float32) coefficient buffer into luma. Without
+// inverse transform, this packs coefficients the same way as the lo-fi 8-bit
+// buffer (averages in the top left corner as luma, details as signed bytes
+// at 0.5x). After inverse transform, pass levels=0 to just round and clamp.
+export function coefficientsToLuma(w, h, levels, coef, luma) {
+    const sizes = levelSizes(w, h, levels + 1);
+    const [llCols, llRows] = sizes[levels];
+    for (let y=0; y<h; y++) {
+        for (let x=0; x<w; x++) {
+            const signed = !(x < llCols && y < llRows);
+            luma[(y*w)+x] = storeByte(coef[(y*w)+x], signed);
+        }
+    }
+}
+
+// Return [cols, rows] of the region each level operates on. Level 1 does the
+// whole buffer, level 2 does only the top left quadrant, and so on.
+export function levelSizes(w, h, levels) {
+    const sizes = [];
+    let cols = w;
+    let rows = h;
+    for (let level=1; level<=levels; level++) {
+        sizes.push([cols, rows]);
+        cols = (cols + 1) >> 1;
+        rows = (rows + 1) >> 1;
+    }
+    return sizes;
+}
+
+// Return the largest number of levels a w*h frame supports (each level
+// needs at least 2 rows and 2 columns to work on)
+export function maxLevels(w, h) {
+    let levels = 0;
+    for (let n=Math.min(w, h); n>=2; n=(n+1)>>1) {
+        levels++;
+    }
+    return levels;
+}
+
+// Return a list of the detail subbands as {level, orient, x0, y0, x1, y1},
+// where the subband covers x0 <= x < x1 and y0 <= y < y1. orient is "H" for
+// horizontal detail (top right, differences along rows), "V" for vertical
+// detail (bottom left, differences along columns), or "D" for diagonal detail
+// (bottom right).
+export function subbands(w, h, levels) {
+    const bands = [];
+    const sizes = levelSizes(w, h, levels);
+    for (let level=1; level<=levels; level++) {
+        const [cols, rows] = sizes[level-1];
+        const nsCols = (cols + 1) >> 1;
+        const nsRows = (rows + 1) >> 1;
+        bands.push(
+            {level, orient: "H", x0: nsCols, y0: 0, x1: cols, y1: nsRows},
+            {level, orient: "V", x0: 0, y0: nsRows, x1: nsCols, y1: rows},
+            {level, orient: "D", x0: nsCols, y0: nsRows, x1: cols, y1: rows},
+        );
+    }
+    return bands;
+}
+
+// Forward 2D wavelet transform of a coefficient buffer (8-bit luma, Int16, or
+// Float32), in-place, using one of the FAMILIES. The output has the usual
+// layout with averages on the top left and differences in the other quadrants
+// of each level. If options.squash is set, the last level's averages get
+// replaced with options.sqbias.
+export function waveletFwd(w, h, levels, coef, family, options) {
+    const {squash, sqbias} = options;
+    const {load, store} = storageFor(coef);
+    const s = scratch("liftS", Float64Array, (Math.max(w, h) + 1) >> 1);
+    const d = scratch("liftD", Float64Array, Math.max(w, h) >> 1);
+    const sizes = levelSizes(w, h, levels);
+    for (let level=1; level<=levels; level++) {
+        const [cols, rows] = sizes[level-1];
+        const nsCols = (cols + 1) >> 1;
+        const nsRows = (rows + 1) >> 1;
+        // Transform rows (region holds averages from previous level)
+        for (let y=0; y<rows; y++) {
+            const rowBase = y * w;
+            for (let x=0; x<cols; x++) {
+                const v = load(coef[rowBase+x], false);
+                if (x & 1) {
+                    d[x>>1] = v;
+                } else {
+                    s[x>>1] = v;
+                }
+            }
+            if (cols > 1) {
+                family.fwd(s, d, nsCols, cols >> 1);
+            }
+            for (let x=0; x<nsCols; x++) {
+                coef[rowBase+x] = store(s[x], false);
+            }
+            for (let x=nsCols; x<cols; x++) {
+                coef[rowBase+x] = store(d[x-nsCols], true);
+            }
+        }
+        // Transform columns (right side columns hold signed differences)
+        for (let x=0; x<cols; x++) {
+            const signed = x >= nsCols;
+            for (let y=0; y<rows; y++) {
+                const v = load(coef[(y*w)+x], signed);
+                if (y & 1) {
+                    d[y>>1] = v;
+                } else {
+                    s[y>>1] = v;
+                }
+            }
+            if (rows > 1) {
+                family.fwd(s, d, nsRows, rows >> 1);
+            }
+            const doSquash = squash && level == levels && !signed;
+            for (let y=0; y<nsRows; y++) {
+                coef[(y*w)+x] = doSquash ? sqbias : store(s[y], signed);
+            }
+            for (let y=nsRows; y<rows; y++) {
+                coef[(y*w)+x] = store(d[y-nsRows], true);
+            }
+        }
+    }
+}
+
+// Inverse 2D wavelet transform of a coefficient buffer, in-place (undoes
+// waveletFwd with the same family)
+export function waveletInv(w, h, levels, coef, family) {
+    const {load, store} = storageFor(coef);
+    const s = scratch("liftS", Float64Array, (Math.max(w, h) + 1) >> 1);
+    const d = scratch("liftD", Float64Array, Math.max(w, h) >> 1);
+    const sizes = levelSizes(w, h, levels);
+    for (let level=levels; level>0; level--) {
+        const [cols, rows] = sizes[level-1];
+        const nsCols = (cols + 1) >> 1;
+        const nsRows = (rows + 1) >> 1;
+        // Invert columns
+        for (let x=0; x<cols; x++) {
+            const signed = x >= nsCols;
+            for (let y=0; y<nsRows; y++) {
+                s[y] = load(coef[(y*w)+x], signed);
+            }
+            for (let y=nsRows; y<rows; y++) {
+                d[y-nsRows] = load(coef[(y*w)+x], true);
+            }
+            if (rows > 1) {
+                family.inv(s, d, nsRows, rows >> 1);
+            }
+            for (let y=0; y<rows; y++) {
+                const v = (y & 1) ? d[y>>1] : s[y>>1];
+                coef[(y*w)+x] = store(v, signed);
+            }
+        }
+        // Invert rows
+        for (let y=0; y<rows; y++) {
+            const rowBase = y * w;
+            for (let x=0; x<nsCols; x++) {
+                s[x] = load(coef[rowBase+x], false);
+            }
+            for (let x=nsCols; x<cols; x++) {
+                d[x-nsCols] = load(coef[rowBase+x], true);
+            }
+            if (cols > 1) {
+                family.inv(s, d, nsCols, cols >> 1);
+            }
+            for (let x=0; x<cols; x++) {
+                const v = (x & 1) ? d[x>>1] : s[x>>1];
+                coef[rowBase+x] = store(v, false);
+            }
+        }
+    }
+}
@@ -0,0 +1,111 @@
+/* SPDX-License-Identifier: MIT */
+/* SPDX-FileCopyrightText: Copyright 2024 Sam Blenny */
+"use strict";
+
+// Frame processing worker. main.js transfers the output canvas here as an
+// OffscreenCanvas, then sends one VideoFrame or ImageBitmap at a time. Each
+// frame gets a "done" reply with its stage timings (and the auto-contrast
+// histogram if the frame message asked for it), and main.js drops new frames
+// until then. With detect set, the worker also looks for barcodes and QR
+// codes every so often, and sends a "codes" message when a detection run
+// finishes. While recording a GIF, the filtered frames also go to the GIF
+// encoder, and the file comes back in a "recorded" message when the recording
+// stops or gets to its maximum length.
+//
+// Messages from main.js:
+//   {type: "init", canvas}                      (canvas is transferred)
+//   {type: "frame", frame, crop, w, h, options, histogram, detect}
+//                                               (frame is transferred)
+//   {type: "save"}                              (reply is "saved")
+//   {type: "reset"}                             (new source, forget history)
+//   {type: "record", onebit, fps, maxSeconds}   (start recording a GIF)
+//   {type: "stopRecord"}                        (reply is "recorded")
+
+import { renderFrame } from './render.js';
+import { resetTemporal } from './temporal.js';
+import { throttledDetector } from './detect.js';
+import { createGIFRecording } from './gif.js';
+
+// 2D context of the transferred output canvas
+let CTX = null;
+
+// Most recent filtered frame: {luma, raw, w, h, onebit}
+let LAST_FRAME = null;
+
+// Code detection, at most one run at a time and a few runs per second
+const DETECT = throttledDetector();
+
+// GIF recording in progress, or null
+let RECORDING = null;
+
+// Finish the GIF recording and send the file to main.js
+function finishRecording() {
+    const gif = RECORDING ? RECORDING.finish() : null;
+    RECORDING = null;
+    self.postMessage({type: "recorded", gif}, gif ? [gif.buffer] : []);
+}
+
+self.onmessage = function(e) {
+    const msg = e.data;
+    switch(msg.type) {
+    case "init":
+        CTX = msg.canvas.getContext("2d", {willReadFrequently: true});
+        break;
+    case "frame": {
+        const timings = {};
+        const report = msg.histogram ? {} : null;
+        try {
+            LAST_FRAME = renderFrame(CTX, msg.frame, msg.crop, msg.w, msg.h,
+                msg.options, timings, report, msg.detect);
+            if (RECORDING && !RECORDING.add(LAST_FRAME, performance.now())) {
+                finishRecording();
+            }
+        } catch (err) {
+            console.log("worker: frame failed", err);
+        } finally {
+            msg.frame.close();
+            self.postMessage({type: "done", timings, report});
+        }
+        // Detect after the reply, so main.js can grab the next frame already
+        const detecting = msg.detect && LAST_FRAME?.raw && DETECT(LAST_FRAME);
+        if (detecting) {
+            const {w, h} = LAST_FRAME;
+            detecting.then((results) => {
+                self.postMessage({type: "codes", results, w, h});
+            })
+            .catch((err) => console.log("worker: detect failed", err));
+        }
+        break;
+    }
+    case "reset":
+        resetTemporal();
+        break;
+    case "record":
+        RECORDING = createGIFRecording(msg.onebit, msg.fps, msg.maxSeconds);
+        break;
+    case "stopRecord":
+        finishRecording();
+        break;
+    case "save": {
+        if (!LAST_FRAME) {
+            self.postMessage({type: "saved", frame: null});
+            break;
+        }
+        // Copy the luma now, since the next frame may reuse its buffer
+        // before the PNG is ready
+        const {w, h, onebit} = LAST_FRAME;
+        const luma = LAST_FRAME.luma.slice();
+        CTX.canvas.convertToBlob({type: "image/png"})
+        .then((png) => {
+            self.postMessage({type: "saved",
+                frame: {luma, w, h, onebit, png}});
+        })
+        .catch((err) => {
+            // Reply anyway, so the page isn't left waiting for the frame
+            self.postMessage({type: "saved", frame: null,
+                error: `unable to encode PNG: ${err.message}`});
+        });
+        break;
+    }
+    }
+};